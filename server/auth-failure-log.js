@@ -0,0 +1,31 @@
+// Log of rejected authentication attempts, for security monitoring
+// Each failure is written to the console and appended to AUTH_FAILURE_LOG_FILE as a JSON line.
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const AUTH_FAILURE_LOG_FILE =
+  process.env.AUTH_FAILURE_LOG_FILE || path.join(__dirname, 'auth-failures.log')
+
+/**
+ * Records an authentication failure.
+ * reason is a short machine-readable string; details should identify the message and sender.
+ */
+export function logAuthFailure(reason, details = {}) {
+  const entry = {
+    time: new Date().toISOString(),
+    reason,
+    ...details
+  }
+
+  console.warn('Authentication failure:', entry)
+
+  fs.appendFile(AUTH_FAILURE_LOG_FILE, `${JSON.stringify(entry)}\n`, error => {
+    if (error) {
+      console.error('Failed to write auth failure log:', error.message)
+    }
+  })
+}
@@ -0,0 +1,294 @@
+// Verifiable credentials and presentations (VC Data Model 1.1)
+//
+// Credentials and presentations are JWTs (vc-jwt) or JSON documents secured with a Data
+// Integrity proof (eddsa-jcs-2022, see data-integrity.js), in any mix. A presentation is signed
+// by the holder and holds credentials signed by their issuers and issued to the holder. Both
+// signatures are checked against the signers' DID documents, and the credentials are matched
+// against a presentation definition.
+import { randomUUID } from 'crypto'
+import { signJwt, decodeJwt, resolveVerificationKey, verifyJwtSignature } from './jwt.js'
+import { addProof, verifyProof } from './data-integrity.js'
+import { credentialMatchesDescriptor } from './presentation-exchange.js'
+
+// Tolerated difference between our clock and a credential's timestamps
+const CLOCK_SKEW_SECONDS = 60
+
+// Lifetime of credentials issued by the demo issuer
+const ISSUED_CREDENTIAL_TTL_SECONDS = 365 * 24 * 60 * 60
+
+export const CREDENTIAL_FORMATS = ['jwt', 'data-integrity']
+
+/**
+ * Issues a credential signed by a DID's Ed25519 key-1 (see POST /api/admin/credentials), as a
+ * JWT or, with format 'data-integrity', as a document with an eddsa-jcs-2022 proof.
+ * keyData is { privateKeyBytes, publicKeyBytes }.
+ */
+export function issueCredential(
+  issuerDID,
+  keyData,
+  { subject, type, claims = {}, format = 'jwt' }
+) {
+  const now = Math.floor(Date.now() / 1000)
+
+  if (format === 'data-integrity') {
+    const toDate = seconds => new Date(seconds * 1000).toISOString().replace(/\.\d+Z$/, 'Z')
+    return addProof(
+      {
+        '@context': ['https://www.w3.org/2018/credentials/v1'],
+        id: `urn:uuid:${randomUUID()}`,
+        type: ['VerifiableCredential', type],
+        issuer: issuerDID,
+        issuanceDate: toDate(now),
+        expirationDate: toDate(now + ISSUED_CREDENTIAL_TTL_SECONDS),
+        credentialSubject: { ...claims, id: subject }
+      },
+      `${issuerDID}#key-1`,
+      keyData
+    )
+  }
+
+  return signJwt(
+    { kid: `${issuerDID}#key-1` },
+    {
+      iss: issuerDID,
+      sub: subject,
+      nbf: now,
+      exp: now + ISSUED_CREDENTIAL_TTL_SECONDS,
+      jti: `urn:uuid:${randomUUID()}`,
+      vc: {
+        '@context': ['https://www.w3.org/2018/credentials/v1'],
+        type: ['VerifiableCredential', type],
+        credentialSubject: claims
+      }
+    },
+    keyData
+  )
+}
+
+/**
+ * Turns the claims of a JWT credential into the credential they encode.
+ */
+function toCredential(claims) {
+  return {
+    ...claims.vc,
+    id: claims.jti || claims.vc.id,
+    issuer: claims.iss,
+    issuanceDate: claims.nbf ? new Date(claims.nbf * 1000).toISOString() : claims.vc.issuanceDate,
+    ...(claims.exp && { expirationDate: new Date(claims.exp * 1000).toISOString() }),
+    credentialSubject: {
+      ...(claims.sub && { id: claims.sub }),
+      ...claims.vc.credentialSubject
+    }
+  }
+}
+
+/**
+ * Checks that a JWT's nbf and exp claims include the current time.
+ */
+function isCurrent(claims) {
+  const now = Math.floor(Date.now() / 1000)
+  return (
+    (typeof claims.nbf !== 'number' || claims.nbf - CLOCK_SKEW_SECONDS <= now) &&
+    (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS >= now)
+  )
+}
+
+/**
+ * Checks that a Data Integrity credential's issuance and expiration dates include the current time.
+ */
+function isCurrentDocument(credential) {
+  const toSeconds = date => (date ? Math.floor(new Date(date).getTime() / 1000) : undefined)
+  return isCurrent({
+    nbf: toSeconds(credential.validFrom || credential.issuanceDate),
+    exp: toSeconds(credential.validUntil || credential.expirationDate)
+  })
+}
+
+/**
+ * Verifies a Data Integrity credential's proof against its issuer DID, and its validity period.
+ * Returns { valid: true, credential } or { valid: false, reason }.
+ */
+async function verifyDocumentCredential(document, resolveDID) {
+  const issuer = typeof document.issuer === 'string' ? document.issuer : document.issuer?.id
+  if (!issuer || !document.credentialSubject) {
+    return { valid: false, reason: 'malformed credential' }
+  }
+
+  const result = await verifyProof(document, {
+    proofPurpose: 'assertionMethod',
+    relationships: ['assertionMethod', 'authentication'],
+    resolveDID
+  })
+  if (!result.valid) {
+    return { valid: false, reason: `invalid credential proof: ${result.reason}` }
+  }
+  if (result.signer !== issuer) {
+    return { valid: false, reason: 'credential not signed by its issuer' }
+  }
+
+  if (!isCurrentDocument(document)) {
+    return { valid: false, reason: 'credential expired or not yet valid' }
+  }
+
+  const { proof, ...credential } = document
+  return { valid: true, credential: { ...credential, issuer } }
+}
+
+/**
+ * Verifies a credential's signature against its issuer DID, and its validity period.
+ * Returns { valid: true, credential } or { valid: false, reason }.
+ */
+async function verifyCredential(token, resolveDID) {
+  if (token && typeof token === 'object') {
+    return verifyDocumentCredential(token, resolveDID)
+  }
+
+  const decoded = decodeJwt(token)
+  if (!decoded?.claims.vc || !decoded.claims.iss) {
+    return { valid: false, reason: 'malformed credential' }
+  }
+
+  const { header, claims } = decoded
+  if (typeof header.kid !== 'string' || header.kid.split('#')[0] !== claims.iss) {
+    return { valid: false, reason: 'credential not signed by its issuer' }
+  }
+
+  const publicKey = await resolveVerificationKey(header.kid, resolveDID, [
+    'assertionMethod',
+    'authentication'
+  ])
+  if (!publicKey || !verifyJwtSignature(decoded, publicKey)) {
+    return { valid: false, reason: 'invalid credential signature' }
+  }
+
+  if (!isCurrent(claims)) {
+    return { valid: false, reason: 'credential expired or not yet valid' }
+  }
+
+  return { valid: true, credential: toCredential(claims) }
+}
+
+/**
+ * Verifies a JWT presentation made for our challenge and domain.
+ * Returns { valid: true, holder, credentials } with the signing DID and the presented
+ * credentials (not yet verified), or { valid: false, reason }.
+ */
+async function verifyJwtPresentation(token, { challenge, domain, resolveDID }) {
+  const decoded = decodeJwt(token)
+  if (!decoded?.claims.vp || typeof decoded.claims.iss !== 'string') {
+    return { valid: false, reason: 'malformed presentation' }
+  }
+
+  const { header, claims } = decoded
+  if (header.kid?.split('#')[0] !== claims.iss) {
+    return { valid: false, reason: 'presentation not signed by its holder' }
+  }
+
+  // Presentations are proofs of possession, so the holder signs with an authentication key
+  const publicKey = await resolveVerificationKey(header.kid, resolveDID, ['authentication'])
+  if (!publicKey || !verifyJwtSignature(decoded, publicKey)) {
+    return { valid: false, reason: 'invalid presentation signature' }
+  }
+
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud]
+  if (claims.nonce !== challenge || !audience.includes(domain)) {
+    return { valid: false, reason: 'presentation was made for another request' }
+  }
+
+  if (!isCurrent(claims)) {
+    return { valid: false, reason: 'presentation expired' }
+  }
+
+  return {
+    valid: true,
+    holder: claims.iss,
+    credentials: [].concat(claims.vp.verifiableCredential || [])
+  }
+}
+
+/**
+ * Verifies a Data Integrity presentation made for our challenge and domain.
+ * Returns the same as verifyJwtPresentation.
+ */
+async function verifyDocumentPresentation(document, { challenge, domain, resolveDID }) {
+  const holder = typeof document.holder === 'string' ? document.holder : document.holder?.id
+  if (!holder) {
+    return { valid: false, reason: 'malformed presentation' }
+  }
+
+  const result = await verifyProof(document, {
+    proofPurpose: 'authentication',
+    challenge,
+    domain,
+    resolveDID
+  })
+  if (!result.valid) {
+    return { valid: false, reason: `invalid presentation proof: ${result.reason}` }
+  }
+  if (result.signer !== holder) {
+    return { valid: false, reason: 'presentation not signed by its holder' }
+  }
+
+  return {
+    valid: true,
+    holder,
+    credentials: [].concat(document.verifiableCredential || [])
+  }
+}
+
+/**
+ * Verifies a presentation (a JWT or a Data Integrity document) made for our challenge and
+ * domain, and every credential in it. Each credential must be issued to the holder that signed
+ * the presentation, so a credential is only accepted from the DID it belongs to.
+ * Returns { valid: true, holder, credentials } or { valid: false, reason }.
+ */
+export async function verifyPresentation(presentation, { challenge, domain, resolveDID }) {
+  const result =
+    presentation && typeof presentation === 'object'
+      ? await verifyDocumentPresentation(presentation, { challenge, domain, resolveDID })
+      : await verifyJwtPresentation(presentation, { challenge, domain, resolveDID })
+  if (!result.valid) return result
+
+  // A did:peer:4 holder can be named in long or short form
+  const holderDocument = await resolveDID(result.holder)
+  const holderNames = [result.holder, holderDocument?.id, ...(holderDocument?.alsoKnownAs || [])]
+
+  const credentials = []
+  for (const presented of result.credentials) {
+    const verification = await verifyCredential(presented, resolveDID)
+    if (!verification.valid) return verification
+
+    const subject = verification.credential.credentialSubject?.id
+    if (!subject || !holderNames.includes(subject)) {
+      return { valid: false, reason: 'credential not issued to the presenting holder' }
+    }
+    credentials.push(verification.credential)
+  }
+
+  return { valid: true, holder: result.holder, credentials }
+}
+
+/**
+ * Matches credentials against a presentation definition and a list of trusted issuers.
+ * Returns { valid: true, matches } where matches maps input descriptor ids to credentials,
+ * or { valid: false, reason }.
+ */
+export function evaluatePresentationDefinition(definition, credentials, isTrustedIssuer) {
+  const matches = {}
+
+  for (const descriptor of definition.input_descriptors) {
+    const credential = credentials.find(
+      candidate =>
+        isTrustedIssuer(candidate.issuer) && credentialMatchesDescriptor(candidate, descriptor)
+    )
+    if (!credential) {
+      return {
+        valid: false,
+        reason: `no trusted credential for ${descriptor.name || descriptor.id}`
+      }
+    }
+    matches[descriptor.id] = credential
+  }
+
+  return { valid: true, matches }
+}
@@ -0,0 +1,133 @@
+// Data Integrity proofs with the eddsa-jcs-2022 cryptosuite
+//
+// A secured document carries a `proof` signed by an Ed25519 key of a DID. The signature covers
+// the SHA-256 hashes of the JCS-canonicalized (RFC 8785) proof options and document, so no
+// JSON-LD processing is needed. Used for verifiable credentials and presentations that are JSON
+// objects rather than JWTs.
+import { createHash, createPrivateKey, sign, verify } from 'crypto'
+import { base64url, resolveVerificationKey } from './jwt.js'
+import { toMultibaseB58, fromMultibaseB58 } from './peer4.js'
+
+export const DATA_INTEGRITY_PROOF_TYPE = 'DataIntegrityProof'
+export const CRYPTOSUITE = 'eddsa-jcs-2022'
+
+/**
+ * Serializes a JSON value with the JSON Canonicalization Scheme (RFC 8785): object members
+ * sorted by key, no whitespace, ECMAScript number and string serialization.
+ */
+export function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value)
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`
+  }
+  return `{${Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+    .join(',')}}`
+}
+
+const sha256 = text => createHash('sha256').update(text).digest()
+
+/**
+ * The bytes an eddsa-jcs-2022 proof signs: the hash of the proof options, then of the document.
+ * The proof options get the document's @context, so a proof can't be moved to another context.
+ */
+function hashData(unsecuredDocument, proofOptions) {
+  const options = unsecuredDocument['@context']
+    ? { ...proofOptions, '@context': unsecuredDocument['@context'] }
+    : proofOptions
+  return Buffer.concat([sha256(canonicalize(options)), sha256(canonicalize(unsecuredDocument))])
+}
+
+/**
+ * Adds an eddsa-jcs-2022 proof to a document, signed with a DID's Ed25519 key.
+ * keyData is { privateKeyBytes, publicKeyBytes }; options can set challenge and domain.
+ */
+export function addProof(document, verificationMethod, keyData, options = {}) {
+  const privateKey = createPrivateKey({
+    key: {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      d: base64url(keyData.privateKeyBytes),
+      x: base64url(keyData.publicKeyBytes)
+    },
+    format: 'jwk'
+  })
+
+  const { proof: _existing, ...unsecuredDocument } = document
+  const proofOptions = {
+    type: DATA_INTEGRITY_PROOF_TYPE,
+    cryptosuite: CRYPTOSUITE,
+    created: new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+    verificationMethod,
+    proofPurpose: 'assertionMethod',
+    ...options
+  }
+  const signature = sign(null, hashData(unsecuredDocument, proofOptions), privateKey)
+
+  return {
+    ...unsecuredDocument,
+    proof: { ...proofOptions, proofValue: toMultibaseB58(signature) }
+  }
+}
+
+/**
+ * Verifies a document's eddsa-jcs-2022 proof made for a proof purpose. The key must be listed
+ * under one of the given verification relationships of the signer's DID (by default the one
+ * named like the purpose). When given, the proof's challenge and domain must match.
+ * Returns { valid: true, signer } with the signing DID, or { valid: false, reason }.
+ */
+export async function verifyProof(
+  document,
+  { proofPurpose, relationships = [proofPurpose], challenge, domain, resolveDID }
+) {
+  const { proof, ...unsecuredDocument } = document || {}
+  if (
+    !proof ||
+    Array.isArray(proof) ||
+    proof.type !== DATA_INTEGRITY_PROOF_TYPE ||
+    proof.cryptosuite !== CRYPTOSUITE ||
+    typeof proof.proofValue !== 'string' ||
+    !proof.proofValue.startsWith('z')
+  ) {
+    return { valid: false, reason: `no ${CRYPTOSUITE} proof` }
+  }
+
+  if (proof.proofPurpose !== proofPurpose) {
+    return { valid: false, reason: `proof is not for ${proofPurpose}` }
+  }
+
+  if (challenge !== undefined && proof.challenge !== challenge) {
+    return { valid: false, reason: 'proof was made for another challenge' }
+  }
+  const domains = [].concat(proof.domain ?? [])
+  if (domain !== undefined && !domains.includes(domain)) {
+    return { valid: false, reason: 'proof was made for another domain' }
+  }
+
+  const publicKey = await resolveVerificationKey(
+    proof.verificationMethod,
+    resolveDID,
+    relationships
+  )
+  const { proofValue, ...proofOptions } = proof
+
+  let signature
+  try {
+    signature = fromMultibaseB58(proofValue)
+  } catch {
+    return { valid: false, reason: 'malformed proof value' }
+  }
+
+  if (
+    !publicKey ||
+    !verify(null, hashData(unsecuredDocument, proofOptions), publicKey, signature)
+  ) {
+    return { valid: false, reason: 'invalid proof signature' }
+  }
+
+  return { valid: true, signer: proof.verificationMethod.split('#')[0] }
+}
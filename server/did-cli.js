@@ -0,0 +1,93 @@
+// Command line tool for managing the server DID
+//
+// Usage:
+//   npm run did -- print             Show the server DID and its public keys
+//   npm run did -- backup <file>     Copy the encrypted key file to <file>
+//   npm run did -- rotate            Back up the current DID and replace it with a new one
+//
+// A CLI rotation keeps the old keys for the grace period but cannot notify wallets;
+// POST /api/admin/rotate-did on the running server also sends them from_prior.
+import fs from 'fs'
+import {
+  SERVER_DID_FILE,
+  generateServerDID,
+  loadServerDID,
+  readServerDIDFile,
+  rotateStoredDID,
+  saveServerDID
+} from './did-store.js'
+
+function printDID() {
+  const stored = readServerDIDFile()
+  if (!stored) {
+    console.log(`No server DID stored at ${SERVER_DID_FILE}`)
+    return
+  }
+
+  console.log('DID (long form):', stored.did)
+  console.log('DID (short form):', stored.did.split(':').slice(0, 3).join(':'))
+  console.log('Created:', stored.createdAt)
+  console.log('Keys encrypted at rest:', !!stored.encryptedPrivateKeys)
+  console.log('Verification methods:')
+  for (const vm of stored.didDocument.verificationMethod || []) {
+    console.log(`  - ${vm.id.split('#')[1]} (${vm.type}): ${vm.publicKeyMultibase}`)
+  }
+  console.log('File:', SERVER_DID_FILE)
+}
+
+function backupDID(target) {
+  if (!fs.existsSync(SERVER_DID_FILE)) {
+    throw new Error(`No server DID stored at ${SERVER_DID_FILE}`)
+  }
+  if (!target) {
+    target = SERVER_DID_FILE.replace(/\.json$/, `.${Date.now()}.backup.json`)
+  }
+  if (fs.existsSync(target)) {
+    throw new Error(`Refusing to overwrite existing file ${target}`)
+  }
+
+  // Make sure the file decrypts with the current passphrase before trusting it as a backup
+  loadServerDID()
+  fs.copyFileSync(SERVER_DID_FILE, target)
+  fs.chmodSync(target, 0o600)
+  console.log('Backed up server DID to', target)
+  return target
+}
+
+async function rotateDID() {
+  const current = loadServerDID()
+  if (!current) {
+    const serverData = await generateServerDID()
+    saveServerDID(serverData)
+    console.log('No server DID stored, created', serverData.did)
+    return
+  }
+
+  backupDID()
+  const serverData = await rotateStoredDID(current)
+  console.log('Rotated server DID. New DID:', serverData.did)
+  console.log('The old DID keeps decrypting messages until', serverData.retiredDIDs[0].graceUntil)
+  console.log('Restart the server to start using the new DID.')
+}
+
+const [command, ...args] = process.argv.slice(2)
+
+try {
+  switch (command) {
+    case 'print':
+      printDID()
+      break
+    case 'backup':
+      backupDID(args[0])
+      break
+    case 'rotate':
+      await rotateDID()
+      break
+    default:
+      console.log('Usage: node server/did-cli.js <print|backup [file]|rotate>')
+      process.exitCode = command ? 1 : 0
+  }
+} catch (error) {
+  console.error('Error:', error.message)
+  process.exitCode = 1
+}
@@ -0,0 +1,264 @@
+// Generation and encrypted-at-rest storage of the server DID and its private keys
+import { generateKeyPairFromSeed } from '@stablelib/x25519'
+import * as ed from '@noble/ed25519'
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import * as peer4 from './peer4.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Storage file for server DID and keys
+export const SERVER_DID_FILE =
+  process.env.SERVER_DID_FILE || path.join(__dirname, 'server-did.json')
+
+const DEFAULT_PASSPHRASE = 'didcomm-demo-key-passphrase-change-in-production'
+let warnedDefaultPassphrase = false
+
+// How long the keys of a rotated-out DID keep decrypting in-flight messages
+export const ROTATION_GRACE_PERIOD_MS =
+  (Number(process.env.SERVER_DID_GRACE_PERIOD_SECONDS) || 24 * 60 * 60) * 1000
+
+/**
+ * Derives the 32-byte key used to encrypt the private keys.
+ * SERVER_DID_KEY (base64, 32 bytes) is used as-is; otherwise SERVER_DID_PASSPHRASE is run through scrypt.
+ */
+function deriveStorageKey(salt) {
+  if (process.env.SERVER_DID_KEY) {
+    const key = Buffer.from(process.env.SERVER_DID_KEY, 'base64')
+    if (key.length !== 32) {
+      throw new Error('SERVER_DID_KEY must be 32 bytes, base64 encoded')
+    }
+    return { key, kdf: 'none' }
+  }
+
+  if (!process.env.SERVER_DID_PASSPHRASE && !warnedDefaultPassphrase) {
+    warnedDefaultPassphrase = true
+    console.warn('SERVER_DID_PASSPHRASE is not set, using the insecure default passphrase')
+  }
+  const passphrase = process.env.SERVER_DID_PASSPHRASE || DEFAULT_PASSPHRASE
+  return { key: crypto.scryptSync(passphrase, salt, 32), kdf: 'scrypt' }
+}
+
+/**
+ * Encrypts the private keys with AES-256-GCM.
+ */
+function encryptPrivateKeys(privateKeys) {
+  const salt = crypto.randomBytes(16)
+  const iv = crypto.randomBytes(12)
+  const { key, kdf } = deriveStorageKey(salt)
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(privateKeys), 'utf8'),
+    cipher.final()
+  ])
+
+  return {
+    alg: 'A256GCM',
+    kdf,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  }
+}
+
+/**
+ * Decrypts private keys written by encryptPrivateKeys.
+ */
+function decryptPrivateKeys(encryptedKeys) {
+  const { key } = deriveStorageKey(Buffer.from(encryptedKeys.salt, 'base64'))
+
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    key,
+    Buffer.from(encryptedKeys.iv, 'base64')
+  )
+  decipher.setAuthTag(Buffer.from(encryptedKeys.tag, 'base64'))
+
+  try {
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(encryptedKeys.ciphertext, 'base64')),
+      decipher.final()
+    ])
+    return JSON.parse(plaintext.toString('utf8'))
+  } catch (error) {
+    throw new Error('Unable to decrypt server keys: wrong SERVER_DID_PASSPHRASE or SERVER_DID_KEY')
+  }
+}
+
+/**
+ * Generates a did:peer:4 with an Ed25519 authentication key and an X25519 key agreement key.
+ */
+export async function generateServerDID() {
+  // Generate Ed25519 key pair for authentication
+  const authPrivateKey = ed.utils.randomPrivateKey()
+  const authPublicKey = await ed.getPublicKeyAsync(authPrivateKey)
+
+  // Generate X25519 key pair for encryption
+  const encSeed = crypto.randomBytes(32)
+  const encKeyPair = generateKeyPairFromSeed(encSeed)
+
+  // Create DID Document (without id, it will be added during resolution)
+  const didDocument = {
+    verificationMethod: [
+      {
+        id: '#key-1',
+        type: 'Multikey',
+        publicKeyMultibase: peer4.toMultikeyEd25519(authPublicKey)
+      },
+      {
+        id: '#key-2',
+        type: 'Multikey',
+        publicKeyMultibase: peer4.toMultikeyX25519(encKeyPair.publicKey)
+      }
+    ],
+    authentication: ['#key-1'],
+    keyAgreement: ['#key-2'],
+    service: [
+      {
+        id: '#service',
+        type: 'DIDCommMessaging',
+        serviceEndpoint: {
+          uri: 'http://localhost:3000/didcomm',
+          accept: ['didcomm/v2'],
+          routingKeys: []
+        }
+      }
+    ]
+  }
+
+  // Generate the long-form did:peer:4
+  const longFormDid = peer4.encode(didDocument)
+
+  // Resolve to get the full DID document with id
+  const resolvedDocument = peer4.resolve(longFormDid)
+
+  // Store private keys (with public keys for Ed25519)
+  const privateKeys = {
+    'key-1': {
+      id: '#key-1',
+      type: 'Multikey',
+      publicKeyMultibase: peer4.toMultikeyEd25519(authPublicKey),
+      privateKeyBytes: Array.from(authPrivateKey),
+      publicKeyBytes: Array.from(authPublicKey)
+    },
+    'key-2': {
+      id: '#key-2',
+      type: 'Multikey',
+      publicKeyMultibase: peer4.toMultikeyX25519(encKeyPair.publicKey),
+      privateKeyBytes: Array.from(encKeyPair.secretKey)
+    }
+  }
+
+  return {
+    did: longFormDid,
+    didDocument: resolvedDocument,
+    privateKeys: privateKeys,
+    createdAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Reads the stored server DID without decrypting its keys.
+ * Returns null if no DID has been stored yet.
+ */
+export function readServerDIDFile(file = SERVER_DID_FILE) {
+  if (!fs.existsSync(file)) {
+    return null
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+/**
+ * Replaces the private keys of a DID record with their encrypted form.
+ */
+function encryptRecord(record) {
+  const { privateKeys, ...publicData } = record
+  return { ...publicData, encryptedPrivateKeys: encryptPrivateKeys(privateKeys) }
+}
+
+/**
+ * Replaces the encrypted private keys of a DID record with their decrypted form.
+ */
+function decryptRecord(record) {
+  const { encryptedPrivateKeys, ...publicData } = record
+  return { ...publicData, privateKeys: decryptPrivateKeys(encryptedPrivateKeys) }
+}
+
+/**
+ * Writes the server DID with its private keys (and those of retired DIDs) encrypted.
+ */
+export function saveServerDID(serverData, file = SERVER_DID_FILE) {
+  const stored = encryptRecord(serverData)
+  if (serverData.retiredDIDs) {
+    stored.retiredDIDs = serverData.retiredDIDs.map(encryptRecord)
+  }
+  fs.writeFileSync(file, JSON.stringify(stored, null, 2), { mode: 0o600 })
+}
+
+/**
+ * Loads the stored server DID and decrypts its keys.
+ * Files from before encryption (plaintext privateKeys) are re-written encrypted.
+ */
+export function loadServerDID(file = SERVER_DID_FILE) {
+  const stored = readServerDIDFile(file)
+  if (!stored) {
+    return null
+  }
+
+  if (stored.privateKeys) {
+    console.warn('Server DID file has unencrypted private keys, encrypting it')
+    saveServerDID(stored, file)
+    return stored
+  }
+
+  const serverData = decryptRecord(stored)
+  if (stored.retiredDIDs) {
+    serverData.retiredDIDs = stored.retiredDIDs.map(decryptRecord)
+  }
+  return serverData
+}
+
+/**
+ * Replaces the server DID with a newly generated one and stores it.
+ * The current DID is kept in retiredDIDs, with its keys, until its grace period ends.
+ */
+export async function rotateStoredDID(current, gracePeriodMs = ROTATION_GRACE_PERIOD_MS) {
+  const now = Date.now()
+  const next = await generateServerDID()
+
+  next.retiredDIDs = [
+    {
+      did: current.did,
+      didDocument: current.didDocument,
+      privateKeys: current.privateKeys,
+      retiredAt: new Date(now).toISOString(),
+      graceUntil: new Date(now + gracePeriodMs).toISOString()
+    },
+    ...(current.retiredDIDs || []).filter(retired => new Date(retired.graceUntil).getTime() > now)
+  ]
+
+  saveServerDID(next)
+  return next
+}
+
+/**
+ * Loads the server DID, generating and storing a new one on first run.
+ */
+export async function getServerDID() {
+  const existing = loadServerDID()
+  if (existing) {
+    console.log('Loaded existing server DID:', existing.did)
+    return existing
+  }
+
+  console.log('Generating new server DID...')
+  const serverData = await generateServerDID()
+  saveServerDID(serverData)
+  console.log('Created new server DID:', serverData.did)
+  return serverData
+}
@@ -1,118 +1,9 @@
 // DIDComm message handling with decryption support
-import { Message } from 'didcomm-node'
-import { generateKeyPairFromSeed } from '@stablelib/x25519'
-import * as ed from '@noble/ed25519'
+import { Message, FromPrior } from 'didcomm-node'
 import bs58 from 'bs58'
-import crypto from 'crypto'
-import fs from 'fs'
-import path from 'path'
-import { fileURLToPath } from 'url'
 import * as peer4 from './peer4.js'
 import * as peer2 from './peer2.js'
-
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
-
-// Storage file for server DID and keys
-const SERVER_DID_FILE = path.join(__dirname, 'server-did.json')
-
-// Generate a did:peer:4 for the server
-async function generateServerDID() {
-  // Generate Ed25519 key pair for authentication
-  const authPrivateKey = ed.utils.randomPrivateKey()
-  const authPublicKey = await ed.getPublicKeyAsync(authPrivateKey)
-
-  // Generate X25519 key pair for encryption
-  const encSeed = crypto.randomBytes(32)
-  const encKeyPair = generateKeyPairFromSeed(encSeed)
-
-  // Create DID Document (without id, it will be added during resolution)
-  const didDocument = {
-    verificationMethod: [
-      {
-        id: '#key-1',
-        type: 'Multikey',
-        publicKeyMultibase: peer4.toMultikeyEd25519(authPublicKey)
-      },
-      {
-        id: '#key-2',
-        type: 'Multikey',
-        publicKeyMultibase: peer4.toMultikeyX25519(encKeyPair.publicKey)
-      }
-    ],
-    authentication: ['#key-1'],
-    keyAgreement: ['#key-2'],
-    service: [
-      {
-        id: '#service',
-        type: 'DIDCommMessaging',
-        serviceEndpoint: {
-          uri: 'http://localhost:3000/didcomm',
-          accept: ['didcomm/v2'],
-          routingKeys: []
-        }
-      }
-    ]
-  }
-
-  // Generate the long-form did:peer:4
-  const longFormDid = peer4.encode(didDocument)
-
-  // Resolve to get the full DID document with id
-  const resolvedDocument = peer4.resolve(longFormDid)
-
-  // Store private keys (with public keys for Ed25519)
-  const privateKeys = {
-    'key-1': {
-      id: '#key-1',
-      type: 'Multikey',
-      publicKeyMultibase: peer4.toMultikeyEd25519(authPublicKey),
-      privateKeyBytes: Array.from(authPrivateKey),
-      publicKeyBytes: Array.from(authPublicKey)
-    },
-    'key-2': {
-      id: '#key-2',
-      type: 'Multikey',
-      publicKeyMultibase: peer4.toMultikeyX25519(encKeyPair.publicKey),
-      privateKeyBytes: Array.from(encKeyPair.secretKey)
-    }
-  }
-
-  const serverData = {
-    did: longFormDid,
-    didDocument: resolvedDocument,
-    privateKeys: privateKeys,
-    createdAt: new Date().toISOString()
-  }
-
-  return serverData
-}
-
-// Load or create server DID
-async function getServerDID() {
-  // TEMPORARY: Always regenerate DID on boot for testing
-  // TODO: Remove this block to restore normal behavior (load existing DID)
-  // START TEMPORARY CODE - REVERT THIS
-  console.log('Generating new server DID (TEMPORARY: regenerating on every boot)...')
-  const serverData = await generateServerDID()
-  fs.writeFileSync(SERVER_DID_FILE, JSON.stringify(serverData, null, 2))
-  console.log('Created new server DID:', serverData.did)
-  return serverData
-  // END TEMPORARY CODE - REVERT THIS
-
-  // ORIGINAL CODE (commented out temporarily):
-  // if (fs.existsSync(SERVER_DID_FILE)) {
-  //   const data = JSON.parse(fs.readFileSync(SERVER_DID_FILE, 'utf8'))
-  //   console.log('Loaded existing server DID:', data.did)
-  //   return data
-  // }
-  //
-  // console.log('Generating new server DID...')
-  // const serverData = await generateServerDID()
-  // fs.writeFileSync(SERVER_DID_FILE, JSON.stringify(serverData, null, 2))
-  // console.log('Created new server DID:', serverData.did)
-  // return serverData
-}
+import { getServerDID, rotateStoredDID, ROTATION_GRACE_PERIOD_MS } from './did-store.js'
 
 // Initialize server DID
 const SERVER_DID_DATA = await getServerDID()
@@ -292,6 +183,25 @@ class ServerSecretsResolver {
   }
 }
 
+// didcomm-node only accepts the object form of serviceEndpoint: move a string endpoint and the
+// service's accept and routingKeys into one, as peer2.js does
+function normalizeServices(didDocument) {
+  for (const service of didDocument.service || []) {
+    if (typeof service.serviceEndpoint === 'string') {
+      const { accept, routingKeys, ...rest } = service
+      Object.keys(service).forEach(key => delete service[key])
+      Object.assign(service, rest, {
+        serviceEndpoint: {
+          uri: rest.serviceEndpoint,
+          accept: accept || ['didcomm/v2'],
+          routingKeys: routingKeys || []
+        }
+      })
+    }
+  }
+  return didDocument
+}
+
 // Create resolver as plain object instead of class instance
 const knownDIDs = {}
 knownDIDs[SERVER_DID_DATA.did] = SERVER_DID_DATA.didDocument
@@ -343,7 +253,7 @@ const didResolver = {
     // For did:peer:4, resolve from long-form DID
     if (did.startsWith('did:peer:4') && did.includes(':z')) {
       try {
-        const resolved = peer4.resolve(did, true)
+        const resolved = normalizeServices(peer4.resolve(did, true))
 
         this.knownDIDs[did] = resolved
 
@@ -367,11 +277,13 @@ const didResolver = {
 // Create secrets resolver as plain object
 const secretsMap = new Map()
 
-// Add server's private keys
-if (SERVER_DID_DATA.privateKeys) {
-  for (const [keyName, keyData] of Object.entries(SERVER_DID_DATA.privateKeys)) {
+// Add a DID's private keys to the secrets map, returning the key IDs that were added
+function registerServerSecrets(serverData) {
+  const keyIds = []
+
+  for (const [keyName, keyData] of Object.entries(serverData.privateKeys || {})) {
     const privateKeyBytes = new Uint8Array(keyData.privateKeyBytes)
-    const longFormKeyId = `${SERVER_DID_DATA.did}${keyData.id}`
+    const longFormKeyId = `${serverData.did}${keyData.id}`
 
     // Convert Multikey type to specific type for didcomm-node compatibility
     let secretType = keyData.type
@@ -400,20 +312,60 @@ if (SERVER_DID_DATA.privateKeys) {
 
     // Store under long-form key ID
     secretsMap.set(longFormKeyId, secret)
+    keyIds.push(longFormKeyId)
 
     // Also store under short-form key ID (extract short form from long form)
-    if (SERVER_DID_DATA.did.includes(':z')) {
-      const shortFormDid = SERVER_DID_DATA.did.split(':').slice(0, 3).join(':')
+    if (serverData.did.includes(':z')) {
+      const shortFormDid = serverData.did.split(':').slice(0, 3).join(':')
       const shortFormKeyId = `${shortFormDid}${keyData.id}`
       secretsMap.set(shortFormKeyId, {
         ...secret,
         id: shortFormKeyId
       })
+      keyIds.push(shortFormKeyId)
       console.log('Initialized secrets resolver with keys:', longFormKeyId, 'and', shortFormKeyId)
     } else {
       console.log('Initialized secrets resolver with key:', longFormKeyId, 'type:', secretType)
     }
   }
+
+  return keyIds
+}
+
+// Retired server DIDs whose keys are still kept, with the end of their grace period
+const retiredServerDIDs = new Map()
+
+// Keep a retired DID's keys until its grace period ends, so in-flight messages still decrypt
+function registerRetiredDID(retired) {
+  const remaining = new Date(retired.graceUntil).getTime() - Date.now()
+  if (remaining <= 0) {
+    return
+  }
+
+  retiredServerDIDs.set(retired.did, retired.graceUntil)
+
+  // Use long-form key IDs, as wallets do, so from_prior can name the prior DID's key-1
+  knownDIDs[retired.did] = peer4.resolve(retired.did, true)
+  const keyIds = registerServerSecrets(retired)
+
+  // Timers can't be longer than ~24.8 days, so long grace periods are checked in steps
+  const removeWhenExpired = () => {
+    const left = new Date(retired.graceUntil).getTime() - Date.now()
+    if (left > 0) {
+      setTimeout(removeWhenExpired, Math.min(left, 2 ** 31 - 1)).unref()
+      return
+    }
+    keyIds.forEach(keyId => secretsMap.delete(keyId))
+    retiredServerDIDs.delete(retired.did)
+    console.log('Grace period ended, removed keys of retired DID:', retired.did)
+  }
+  removeWhenExpired()
+}
+
+// Add server's private keys
+registerServerSecrets(SERVER_DID_DATA)
+for (const retired of SERVER_DID_DATA.retiredDIDs || []) {
+  registerRetiredDID(retired)
 }
 
 const secretsResolver = {
@@ -521,12 +473,64 @@ async function packMessage(message, to, from = SERVER_DID_DATA.did, signFrom = n
   }
 }
 
+// Whether a DID, in long or short form, is the server DID or a retired one still in its grace period
+function isServerDID(did) {
+  return [SERVER_DID_DATA.did, ...retiredServerDIDs.keys()].some(
+    serverDID => did === serverDID || did === serverDID.split(':').slice(0, 3).join(':')
+  )
+}
+
+// Create a from_prior JWT, signed with the prior DID's authentication key, announcing a new DID
+async function createFromPrior(priorDID, newDID) {
+  const fromPrior = new FromPrior({
+    iss: priorDID,
+    sub: newDID,
+    iat: Math.floor(Date.now() / 1000)
+  })
+
+  const [jwt] = await fromPrior.pack(`${priorDID}#key-1`, didResolver, secretsResolver)
+  return jwt
+}
+
+// Rotate the server DID to a new did:peer:4 with fresh keys
+// The old keys stay in secretsMap for the grace period so in-flight messages still decrypt.
+// SERVER_DID_DATA is updated in place so every importer sees the new DID.
+async function rotateServerDID(gracePeriodMs = ROTATION_GRACE_PERIOD_MS) {
+  const priorDID = SERVER_DID_DATA.did
+  console.log('Rotating server DID:', priorDID)
+
+  const next = await rotateStoredDID(SERVER_DID_DATA, gracePeriodMs)
+
+  knownDIDs[next.did] = next.didDocument
+  registerServerSecrets(next)
+  registerRetiredDID(next.retiredDIDs[0])
+
+  for (const key of Object.keys(SERVER_DID_DATA)) {
+    delete SERVER_DID_DATA[key]
+  }
+  Object.assign(SERVER_DID_DATA, next)
+
+  const fromPrior = await createFromPrior(priorDID, next.did)
+
+  console.log('Rotated server DID. New DID:', next.did)
+
+  return {
+    priorDID,
+    did: next.did,
+    fromPrior,
+    graceUntil: next.retiredDIDs[0].graceUntil
+  }
+}
+
 export {
   SERVER_DID_DATA,
   didResolver,
   secretsResolver,
   unpackMessage,
   packMessage,
+  rotateServerDID,
+  createFromPrior,
+  isServerDID,
   ServerDIDResolver,
   ServerSecretsResolver,
   didResolverInstance,
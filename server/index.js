@@ -3,13 +3,76 @@ import express from 'express'
 import session from 'express-session'
 import cors from 'cors'
 import cookieParser from 'cookie-parser'
-import { SERVER_DID_DATA, didResolver, unpackMessage, packMessage } from './didcomm-handler.js'
+import { createHash } from 'crypto'
+import {
+  SERVER_DID_DATA,
+  didResolver,
+  unpackMessage,
+  packMessage,
+  rotateServerDID,
+  isServerDID
+} from './didcomm-handler.js'
+import { createLoginInvitation, consumeLoginInvitation } from './login-invitations.js'
+import {
+  REQUIRE_LOGIN_CHALLENGE,
+  createLoginChallenge,
+  consumeLoginChallenge
+} from './login-challenges.js'
+import { createMessageStore } from './message-store.js'
+import { ProtocolRegistry } from './protocol-registry.js'
+import { checkMessageFreshness } from './replay-guard.js'
+import { checkSecurityPolicy } from './security-policy.js'
+import { logAuthFailure } from './auth-failure-log.js'
+import { issueSessionToken, verifySessionToken } from './session-token.js'
+import { createPresentationRequest, consumePresentationRequest } from './login-presentations.js'
+import {
+  PRESENTATION_DEFINITIONS,
+  DEFAULT_LOGIN_PRESENTATION,
+  TRUSTED_CREDENTIAL_ISSUERS
+} from './presentation-definitions.js'
+import {
+  CREDENTIAL_FORMATS,
+  issueCredential,
+  verifyPresentation,
+  evaluatePresentationDefinition
+} from './credentials.js'
+import {
+  MAX_PICTURE_BYTES,
+  PROFILE_REQUEST_FIELDS,
+  createProfileRequest,
+  consumeProfileRequest,
+  readProfile
+} from './profile-requests.js'
+import { createMediatorStore } from './mediator-store.js'
+import { OUTBOUND_STATUS, OutboundQueue, createOutboundStore } from './outbound-queue.js'
+import {
+  MEDIATOR_ENABLED,
+  COORDINATE_MEDIATION_PROTOCOL,
+  ROUTING_PROTOCOL,
+  PICKUP_PROTOCOL,
+  coordinateMediationHandlers,
+  routingHandlers,
+  pickupHandlers,
+  queueForRecipient
+} from './mediator.js'
 
 const app = express()
 const PORT = 3000
 
+// How long one attempt to deliver a DIDComm message waits for the recipient's endpoint
+const DELIVERY_TIMEOUT_MS = 10000
+
+// Largest DIDComm message body we accept. A profile's picture is base64 encoded in the message,
+// again in the encrypted message and once more when a mediator forward wraps it, so the limit
+// leaves room for a picture of MAX_PICTURE_BYTES after all three encodings.
+const DIDCOMM_BODY_LIMIT = 4 * MAX_PICTURE_BYTES
+
+// Session store, shared with the /didcomm handler so wallet messages can update browser sessions
+const sessionStore = new session.MemoryStore()
+
 // Session configuration
 const sessionConfig = {
+  store: sessionStore,
   secret: process.env.SESSION_SECRET || 'didcomm-demo-secret-change-in-production',
   resave: false,
   saveUninitialized: true,
@@ -30,8 +93,9 @@ app.use(
 )
 app.use(cookieParser())
 app.use(express.json())
-app.use(express.text({ type: 'application/didcomm-encrypted+json' }))
+app.use(express.text({ type: 'application/didcomm-encrypted+json', limit: DIDCOMM_BODY_LIMIT }))
 app.use(express.text({ type: 'text/plain' }))
+app.use(authenticateSessionToken)
 app.use(session(sessionConfig))
 
 // Logging middleware
@@ -43,6 +107,122 @@ app.use((req, res, next) => {
   next()
 })
 
+// Admin endpoints require ADMIN_TOKEN as a bearer token, or a local request when it is unset
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN
+  const isLocal = ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress)
+
+  if (adminToken ? req.get('Authorization') === `Bearer ${adminToken}` : isLocal) {
+    return next()
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'Admin access required'
+  })
+}
+
+// API clients can authenticate with a session token (see session-token.js) instead of a cookie
+// A valid token loads the browser session it was issued to as req.session, so express-session
+// leaves it in place and every session route works the same with either.
+async function authenticateSessionToken(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ')
+  if (scheme !== 'Bearer' || !token || req.path.startsWith('/api/admin/')) {
+    return next()
+  }
+
+  const rejectToken = reason => {
+    logAuthFailure(`session-token-${reason}`, { path: req.path })
+    res.status(401).json({
+      success: false,
+      error: 'Invalid session token'
+    })
+  }
+
+  try {
+    const result = await verifySessionToken(token)
+    if (!result.valid) {
+      return rejectToken(result.reason)
+    }
+
+    const [sessionId, storedSession] =
+      (await getWalletSessions(result.claims.sub)).find(
+        ([, candidate]) => candidate.sessionTokenId === result.claims.jti
+      ) || []
+
+    if (!sessionId) {
+      return rejectToken('revoked')
+    }
+
+    req.sessionID = sessionId
+    req.sessionStore = sessionStore
+    sessionStore.createSession(req, storedSession)
+    req.sessionTokenClaims = result.claims
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Login states from the website side of the protocol (Protocols/Login.md)
+const LOGIN_STATES = {
+  QR_DISPLAYED: 'qr_displayed',
+  AWAITING_SESSION_LOGIN: 'awaiting_session_login',
+  VALIDATING: 'validating',
+  CHALLENGED: 'challenged',
+  PRESENTATION_REQUESTED: 'presentation_requested',
+  AUTHENTICATED: 'authenticated',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+  LOGGED_OUT: 'logged_out'
+}
+
+// Current login state per session, and the Server-Sent Events streams listening for changes
+// States of sessions that expire or are destroyed are dropped by sweepSessionState.
+const sessionLoginStates = new Map()
+const sessionEventClients = new Map()
+
+// How often state kept for sessions is checked against the session store
+const SESSION_SWEEP_INTERVAL_MS = 5 * 60 * 1000
+
+// Record a login state for a session
+function recordSessionState(sessionId, state, details = {}) {
+  const event = { state, ...details, timestamp: Date.now() }
+  sessionLoginStates.set(sessionId, event)
+  return event
+}
+
+function writeSessionEvent(client, event) {
+  client.write(`event: state\ndata: ${JSON.stringify(event)}\n\n`)
+}
+
+// Record a login state change for a session and push it to any subscribed browsers
+function publishSessionState(sessionId, state, details = {}) {
+  const event = recordSessionState(sessionId, state, details)
+
+  const clients = sessionEventClients.get(sessionId)
+  if (clients) {
+    for (const client of clients) {
+      writeSessionEvent(client, event)
+    }
+  }
+  console.log(`Session login state: ${state}`)
+}
+
+// User agent and last request time of authenticated sessions, for the signed-in devices list
+// Kept outside the session so browser requests never overwrite a session the wallet just updated
+const sessionActivity = new Map()
+
+app.use((req, res, next) => {
+  if (req.session.authenticated) {
+    sessionActivity.set(req.sessionID, {
+      userAgent: req.get('User-Agent'),
+      lastSeenAt: Date.now()
+    })
+  }
+  next()
+})
+
 // API endpoint to get session token
 app.get('/api/session', (req, res) => {
   // Express-session automatically creates a session if one doesn't exist
@@ -61,39 +241,45 @@ app.get('/api/session', (req, res) => {
   })
 })
 
-// API endpoint to receive DIDComm session-login messages
-app.post('/api/didcomm/session-login', (req, res) => {
-  const message = req.body
-  console.log('Received DIDComm session-login message:', message)
-
-  // Extract session token from message body
-  const sessionTokenFromWallet = message.body?.session_token
-
-  if (!sessionTokenFromWallet) {
+// API endpoint to mint a login invitation for the caller's session
+// The body can name a presentation definition the wallet must satisfy to log in, unless the
+// server requires one for every login (LOGIN_PRESENTATION), which the browser can't replace
+app.post('/api/login/invitation', (req, res) => {
+  const requested = req.body?.presentation
+  if (requested && !Object.hasOwn(PRESENTATION_DEFINITIONS, requested)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown presentation definition: ${requested}`
+    })
+  }
+  if (requested && DEFAULT_LOGIN_PRESENTATION && requested !== DEFAULT_LOGIN_PRESENTATION) {
     return res.status(400).json({
       success: false,
-      error: 'Missing session_token in message body'
+      error: `This site requires the ${DEFAULT_LOGIN_PRESENTATION} presentation`
     })
   }
+  const presentation = DEFAULT_LOGIN_PRESENTATION || requested || null
 
-  // In a real implementation, you would:
-  // 1. Validate the session token matches an active browser session
-  // 2. Verify the DID and signature
-  // 3. Associate the wallet DID with the browser session
-  // 4. Mark the session as authenticated
+  if (!req.session.createdAt) {
+    req.session.createdAt = Date.now()
+  }
+  req.session.loginPresentation = presentation
 
-  console.log('Session token from wallet:', sessionTokenFromWallet)
-  console.log('Current request session ID:', req.sessionID)
+  // The origin is echoed in the login challenge so the wallet signs which site it logs in to
+  const origin = req.get('Origin') || `${req.protocol}://${req.get('host')}`
+  const invitation = createLoginInvitation(req.sessionID, SERVER_DID_DATA.did, origin)
 
-  // Store wallet connection in session
-  req.session.walletDID = message.from
-  req.session.authenticated = true
-  req.session.authenticatedAt = Date.now()
+  // The invitation is about to be displayed as a QR code (replacing any earlier one)
+  if (!req.session.authenticated) {
+    publishSessionState(req.sessionID, LOGIN_STATES.QR_DISPLAYED)
+    if (sessionEventClients.has(req.sessionID)) {
+      publishSessionState(req.sessionID, LOGIN_STATES.AWAITING_SESSION_LOGIN)
+    }
+  }
 
   res.json({
     success: true,
-    message: 'Session login received',
-    sessionToken: req.sessionID
+    invitation
   })
 })
 
@@ -134,12 +320,282 @@ app.get('/api/session/status', (req, res) => {
     walletDID: req.session.walletDID,
     sessionID: req.sessionID,
     createdAt: req.session.createdAt,
-    authenticatedAt: req.session.authenticatedAt
+    authenticatedAt: req.session.authenticatedAt,
+    verifiedClaims: req.session.verifiedClaims,
+    userProfile: req.session.userProfile,
+    loginState: sessionLoginStates.get(req.sessionID)?.state
+  })
+})
+
+// Stream login state changes for the caller's session as Server-Sent Events
+app.get('/api/session/events', (req, res) => {
+  const sessionId = req.sessionID
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  })
+  res.flushHeaders()
+
+  if (!sessionEventClients.has(sessionId)) {
+    sessionEventClients.set(sessionId, new Set())
+  }
+  sessionEventClients.get(sessionId).add(res)
+
+  // Send the current state so the browser doesn't miss changes made before it subscribed
+  // Only the new stream gets it; the session's other streams already have it
+  if (req.session.authenticated) {
+    writeSessionEvent(
+      res,
+      recordSessionState(sessionId, LOGIN_STATES.AUTHENTICATED, {
+        walletDID: req.session.walletDID,
+        authenticatedAt: req.session.authenticatedAt,
+        userProfile: req.session.userProfile
+      })
+    )
+  } else if (sessionLoginStates.get(sessionId)?.state === LOGIN_STATES.QR_DISPLAYED) {
+    writeSessionEvent(res, recordSessionState(sessionId, LOGIN_STATES.AWAITING_SESSION_LOGIN))
+  } else if (sessionLoginStates.has(sessionId)) {
+    writeSessionEvent(res, sessionLoginStates.get(sessionId))
+  }
+
+  // Keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000)
+
+  req.on('close', () => {
+    clearInterval(keepAlive)
+    const clients = sessionEventClients.get(sessionId)
+    if (clients) {
+      clients.delete(res)
+      if (clients.size === 0) {
+        sessionEventClients.delete(sessionId)
+      }
+    }
+  })
+})
+
+// Sessions are listed by a hash of their ID, so one browser never learns another's session ID
+function getPublicSessionId(sessionId) {
+  return createHash('sha256').update(sessionId).digest('base64url').slice(0, 22)
+}
+
+// Drop login states and activity of sessions that are no longer in the session store
+function forgetEndedSessions(storedSessions) {
+  for (const states of [sessionLoginStates, sessionActivity]) {
+    for (const sessionId of states.keys()) {
+      if (!storedSessions[sessionId]) {
+        states.delete(sessionId)
+      }
+    }
+  }
+}
+
+// Reading all sessions also makes the MemoryStore drop the expired ones
+async function sweepSessionState() {
+  try {
+    forgetEndedSessions(await getAllStoredSessions())
+  } catch (error) {
+    console.error('Failed to sweep session state:', error)
+  }
+}
+setInterval(sweepSessionState, SESSION_SWEEP_INTERVAL_MS).unref()
+
+// Authenticated sessions bound to a wallet DID, keyed by session ID
+async function getWalletSessions(walletDID) {
+  const storedSessions = await getAllStoredSessions()
+  forgetEndedSessions(storedSessions)
+
+  return Object.entries(storedSessions).filter(
+    ([, storedSession]) => storedSession.authenticated && storedSession.walletDID === walletDID
+  )
+}
+
+// Tell the wallet that authenticated a session that the session has ended
+async function sendSessionLogout(storedSession) {
+  if (!storedSession?.walletDID) return
+
+  try {
+    await outboundQueue.enqueue(
+      {
+        type: 'https://didcomm.org/login/1.0/session-logout',
+        id: crypto.randomUUID(),
+        ...(storedSession.loginThreadId && { thid: storedSession.loginThreadId }),
+        from: SERVER_DID_DATA.did,
+        to: [storedSession.walletDID],
+        created_time: Math.floor(Date.now() / 1000),
+        body: {}
+      },
+      storedSession.walletDID
+    )
+  } catch (error) {
+    console.error('Failed to queue session-logout for wallet:', error.message)
+  }
+}
+
+// Ask the wallet that just logged a session in for the user's profile
+// The request goes to the wallet's own endpoint, usually its mediator, and the user answers it later
+async function requestUserProfile(sessionId, walletDID, loginThreadId) {
+  if (PROFILE_REQUEST_FIELDS.length === 0) return
+
+  try {
+    const request = createProfileRequest({
+      sessionId,
+      walletDID,
+      loginThreadId,
+      serverDID: SERVER_DID_DATA.did
+    })
+    await outboundQueue.enqueue(request, walletDID)
+  } catch (error) {
+    console.error('Failed to queue request-profile for wallet:', error.message)
+  }
+}
+
+// Destroy a session and tell any browser showing it that it has been logged out
+// The wallet is told too, unless the logout came from the wallet
+async function revokeSession(sessionId, { notifyWallet = true } = {}) {
+  const storedSession = await getStoredSession(sessionId)
+
+  await destroyStoredSession(sessionId)
+  sessionActivity.delete(sessionId)
+  publishSessionState(sessionId, LOGIN_STATES.LOGGED_OUT)
+  sessionLoginStates.delete(sessionId)
+
+  if (notifyWallet) {
+    sendSessionLogout(storedSession)
+  }
+}
+
+// Only sessions a wallet authenticated over /didcomm (see completeLogin) have a wallet to act for
+function requireAuthenticatedSession(req, res, next) {
+  if (!req.session.authenticated || req.session.authenticatedVia !== 'didcomm') {
+    return res.status(401).json({
+      success: false,
+      error: 'Session not authenticated'
+    })
+  }
+  next()
+}
+
+// CORS lets any site send the session cookie, so session management only takes requests from
+// this site's own pages. Browsers mark where a request comes from with Sec-Fetch-Site, older
+// ones only with Origin; API clients send neither and authenticate with a session token.
+function requireSameOrigin(req, res, next) {
+  const site = req.get('Sec-Fetch-Site')
+  const origin = req.get('Origin')
+
+  let sameOrigin
+  if (site) {
+    sameOrigin = site === 'same-origin' || site === 'none'
+  } else if (origin) {
+    try {
+      sameOrigin = new URL(origin).host === req.get('host')
+    } catch {
+      sameOrigin = false
+    }
+  } else {
+    sameOrigin = true
+  }
+
+  if (!sameOrigin) {
+    logAuthFailure('cross-origin-request', { path: req.path, origin })
+    return res.status(403).json({
+      success: false,
+      error: 'Cross-origin request rejected'
+    })
+  }
+  next()
+}
+
+app.use('/api/sessions', requireSameOrigin)
+
+// List the sessions signed in with the same wallet as the caller's session
+app.get('/api/sessions', requireAuthenticatedSession, async (req, res) => {
+  const walletSessions = await getWalletSessions(req.session.walletDID)
+
+  res.json({
+    success: true,
+    sessions: walletSessions.map(([sessionId, storedSession]) => ({
+      id: getPublicSessionId(sessionId),
+      current: sessionId === req.sessionID,
+      createdAt: storedSession.createdAt,
+      authenticatedAt: storedSession.authenticatedAt,
+      lastSeenAt: sessionActivity.get(sessionId)?.lastSeenAt,
+      userAgent: sessionActivity.get(sessionId)?.userAgent
+    }))
+  })
+})
+
+// Revoke one of the caller's wallet sessions
+app.delete('/api/sessions/:id', requireAuthenticatedSession, async (req, res) => {
+  const walletSessions = await getWalletSessions(req.session.walletDID)
+  const [sessionId] =
+    walletSessions.find(([candidate]) => getPublicSessionId(candidate) === req.params.id) || []
+
+  if (!sessionId) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found'
+    })
+  }
+
+  await revokeSession(sessionId)
+  if (sessionId === req.sessionID) {
+    res.clearCookie('didcomm.sid')
+  }
+
+  res.json({
+    success: true,
+    message: 'Session revoked'
+  })
+})
+
+// Revoke every session of the caller's wallet, including the caller's own
+app.delete('/api/sessions', requireAuthenticatedSession, async (req, res) => {
+  const walletSessions = await getWalletSessions(req.session.walletDID)
+
+  for (const [sessionId] of walletSessions) {
+    await revokeSession(sessionId)
+  }
+  res.clearCookie('didcomm.sid')
+
+  res.json({
+    success: true,
+    message: 'All sessions revoked',
+    count: walletSessions.length
+  })
+})
+
+// Exchange a valid session token for a new one; the old token stops working
+app.post('/api/session/token/refresh', async (req, res) => {
+  if (!req.sessionTokenClaims) {
+    return res.status(401).json({
+      success: false,
+      error: 'A session token is required'
+    })
+  }
+
+  const { token, claims } = issueSessionToken(req.session.walletDID)
+  req.session.sessionTokenId = claims.jti
+  await setStoredSession(req.sessionID, req.session)
+
+  res.json({
+    success: true,
+    token,
+    expiresAt: claims.exp * 1000
   })
 })
 
 // Destroy session (logout)
 app.post('/api/session/destroy', (req, res) => {
+  if (req.session.authenticated) {
+    sendSessionLogout({
+      walletDID: req.session.walletDID,
+      loginThreadId: req.session.loginThreadId
+    })
+  }
+  sessionLoginStates.delete(req.sessionID)
+  sessionActivity.delete(req.sessionID)
   req.session.destroy(err => {
     if (err) {
       return res.status(500).json({
@@ -155,19 +611,34 @@ app.post('/api/session/destroy', (req, res) => {
   })
 })
 
-// In-memory storage for DIDComm messages (in production, use a database)
-const messageStore = new Map()
-const sessionMessageQueue = new Map() // Maps session tokens to message queues
+// Received DIDComm messages, indexed by thread, sender and session token
+const messageStore = await createMessageStore()
+
+// Mediations, keylists and queued messages, when the server acts as a mediator
+const mediatorStore = MEDIATOR_ENABLED ? await createMediatorStore() : null
+
+// Messages the server sends, delivered in the background and retried until they get through
+const outboundStore = await createOutboundStore()
+const outboundQueue = new OutboundQueue(outboundStore, sendDIDCommMessage)
+outboundQueue.start()
+
+// The stores write changes to disk shortly after they happen, so write them out before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    await Promise.all([messageStore.close(), mediatorStore?.close(), outboundStore.close()])
+    process.exit(0)
+  })
+}
 
 // DIDComm message receiving endpoint
 app.post('/didcomm', async (req, res) => {
   console.log('=== Received DIDComm message on /didcomm ===')
 
   const packedMessage = req.body
+  let message, metadata
 
   try {
     // Step 1: Unpack (decrypt) the message
-    let message, metadata
     try {
       const unpacked = await unpackMessage(packedMessage)
       message = unpacked.message
@@ -199,18 +670,76 @@ app.post('/didcomm', async (req, res) => {
       console.log('Full message:', JSON.stringify(displayMessage, null, 2))
     } catch (unpackError) {
       console.error('Failed to unpack message:', unpackError.message)
-      return res.status(400).json({
-        error: 'Failed to decrypt DIDComm message',
-        details: unpackError.message
-      })
+      // The sender can't be known without decrypting, so the report only goes in the HTTP response
+      return rejectMessage(
+        res,
+        400,
+        createProblemReport(null, 'e.p.xfer.cant-decrypt', 'Unable to decrypt the message: {1}', [
+          unpackError.message
+        ])
+      )
     }
 
     // Step 2: Validate basic DIDComm message structure
-    if (!message.type || !message.id) {
-      return res.status(400).json({
-        error: 'Invalid DIDComm message',
-        details: 'Missing required fields: type or id'
+    const missingFields = ['type', 'id'].filter(field => !message[field])
+    if (missingFields.length > 0) {
+      return rejectMessage(
+        res,
+        400,
+        createProblemReport(message, 'e.p.msg.invalid', 'Message is missing required fields: {1}', [
+          missingFields.join(', ')
+        ]),
+        metadata.authenticated
+      )
+    }
+
+    // Step 3: Enforce the security policy of the message's protocol
+    const policyCheck = await checkSecurityPolicy(
+      message,
+      metadata,
+      protocols.getPolicy(message.type),
+      { isServerDID, resolveDID: did => didResolver.resolve(did) }
+    )
+    if (!policyCheck.valid) {
+      logAuthFailure(`policy-${policyCheck.reason}`, {
+        messageId: message.id,
+        type: message.type,
+        from: message.from
       })
+      // An unauthenticated `from`, or one the sender's key doesn't belong to, may be forged,
+      // so the report is not sent to it
+      return rejectMessage(
+        res,
+        400,
+        createProblemReport(message, policyCheck.code, policyCheck.comment, policyCheck.args),
+        metadata.authenticated && !policyCheck.reason.endsWith('-mismatch')
+      )
+    }
+
+    // Step 4: Reject replayed, stale and expired messages
+    // Messages stored before a restart still count as seen
+    const freshness = await checkMessageFreshness(message, async (id, from) => {
+      return !!(await messageStore.getMessage(id, from))
+    })
+    if (!freshness.valid) {
+      logAuthFailure(`message-${freshness.reason}`, {
+        messageId: message.id,
+        type: message.type,
+        from: message.from
+      })
+
+      // A copy of a message we already have is dropped without a problem-report, so replaying
+      // one costs the server nothing beyond this reply; the sender can stop resending it
+      if (freshness.reason === 'duplicate') {
+        return res.status(200).json({ status: 'duplicate', message_id: message.id })
+      }
+
+      return rejectMessage(
+        res,
+        400,
+        createProblemReport(message, freshness.code, freshness.comment, freshness.args),
+        metadata.authenticated
+      )
     }
 
     // Store the message
@@ -222,54 +751,63 @@ app.post('/didcomm', async (req, res) => {
       body: message.body,
       thid: message.thid, // thread ID
       pthid: message.pthid, // parent thread ID
+      sessionToken: message.body?.session_token, // queues the message for the login session
       receivedAt: new Date().toISOString(),
       processed: false
     }
 
-    messageStore.set(message.id, messageRecord)
-
-    // Route message based on type
-    const messageType = message.type
-    let responseMessage = null
-
-    // Handle different DIDComm message types
-    if (messageType.includes('/login/')) {
-      responseMessage = await handleLoginMessage(message, req)
-    } else if (messageType.includes('/mediate-request')) {
-      responseMessage = await handleMediationRequest(message)
-    } else if (messageType.includes('/trust-ping')) {
-      responseMessage = await handleTrustPing(message)
-    } else if (messageType === 'https://didcomm.org/user-profile/1.0/request-profile') {
-      responseMessage = await handleUserProfileRequest(message)
-    } else if (messageType.includes('/basic-message')) {
-      responseMessage = await handleBasicMessage(message)
-    } else if (messageType.includes('/out-of-band/')) {
-      responseMessage = await handleOutOfBandInvitation(message)
-    } else {
-      console.log(`Unknown message type: ${messageType}, storing for later processing`)
+    await messageStore.saveMessage(messageRecord)
+
+    // Route message to the handler registered for its protocol and message name
+    let responseMessage
+    try {
+      responseMessage = await protocols.dispatch(message, createHandlerContext(message, metadata))
+    } catch (handlerError) {
+      console.error(`Handler for ${message.type} failed:`, handlerError)
+      await messageStore.updateMessage(message.id, message.from, {
+        error: handlerError.message
+      })
+      return rejectMessage(
+        res,
+        500,
+        createProblemReport(message, 'e.p.me', 'Unable to process message of type {1}', [
+          message.type
+        ]),
+        metadata.authenticated
+      )
     }
 
     // Mark as processed
-    messageRecord.processed = true
-    messageRecord.processedAt = new Date().toISOString()
-
-    // Queue message for session if session token is in body
-    if (message.body?.session_token) {
-      const sessionToken = message.body.session_token
-      if (!sessionMessageQueue.has(sessionToken)) {
-        sessionMessageQueue.set(sessionToken, [])
-      }
-      sessionMessageQueue.get(sessionToken).push(messageRecord)
+    await messageStore.updateMessage(message.id, message.from, {
+      processed: true,
+      processedAt: new Date().toISOString()
+    })
+
+    // An anonymous sender, e.g. of a forward, can't be sent a problem-report, so it gets the
+    // report in the HTTP response with an error status
+    if (responseMessage && !message.from && responseMessage.type.endsWith('/problem-report')) {
+      return rejectMessage(res, 400, responseMessage, false)
     }
 
-    // If there's a response message, send it to the sender's DID endpoint
-    if (responseMessage) {
-      try {
-        await sendDIDCommMessage(responseMessage, message.from)
-        console.log('Sent response message to:', message.from)
-      } catch (sendError) {
-        console.error('Failed to send response message:', sendError.message)
-      }
+    // A sender asking for return_route "all" gets the response in the HTTP response,
+    // e.g. a wallet without a reachable endpoint of its own
+    if (responseMessage && message.from && message.return_route === 'all') {
+      const { message: packedResponse } = await packMessage(
+        responseMessage,
+        message.from,
+        SERVER_DID_DATA.did,
+        null
+      )
+      console.log('Returning response message on the inbound connection')
+      return res.status(200).type('application/didcomm-encrypted+json').send(packedResponse)
+    }
+
+    // If there's a response message, queue it for the sender's DID endpoint
+    // An unauthenticated sender only gets responses on the inbound connection (see rejectMessage)
+    if (responseMessage && message.from && metadata.authenticated) {
+      await outboundQueue.enqueue(responseMessage, message.from)
+    } else if (responseMessage && message.from) {
+      console.warn('Not delivering a response to an unauthenticated sender:', message.from)
     }
 
     // Always return simple acknowledgment in HTTP response
@@ -279,14 +817,35 @@ app.post('/didcomm', async (req, res) => {
     })
   } catch (error) {
     console.error('Error processing DIDComm message:', error)
-    res.status(500).json({
-      error: 'Internal server error',
-      details: error.message
-    })
+    rejectMessage(
+      res,
+      500,
+      createProblemReport(message, 'e.p.me', 'Internal server error'),
+      !!metadata?.authenticated
+    )
   }
 })
 
-// Helper function to send a DIDComm message to a recipient
+// Answer a failed inbound message with a problem-report, both in the HTTP response
+// and, when the sender is known, as a DIDComm message to the sender's endpoint
+// Only an authenticated sender is known: the `from` of an anoncrypted or plaintext message may
+// be forged, and delivering to it would let anyone make the server send to any endpoint.
+async function rejectMessage(res, status, problemReport, deliver = false) {
+  const [recipientDID] = problemReport.to || []
+
+  if (deliver && recipientDID) {
+    try {
+      await outboundQueue.enqueue(problemReport, recipientDID)
+    } catch (queueError) {
+      console.error('Failed to queue problem report:', queueError.message)
+    }
+  }
+
+  res.status(status).json(problemReport)
+}
+
+// Make one attempt to deliver a DIDComm message to a recipient, for the outbound queue
+// A failed attempt throws an error carrying the HTTP status and any problem-report returned.
 async function sendDIDCommMessage(message, recipientDID) {
   let endpoint // Declare at function scope for error logging
   try {
@@ -314,8 +873,10 @@ async function sendDIDCommMessage(message, recipientDID) {
 
     // Get routing keys if present
     let routingKeys = []
-    if (didcommService.routingKeys && Array.isArray(didcommService.routingKeys)) {
-      routingKeys = didcommService.routingKeys
+    const serviceRoutingKeys =
+      didcommService.routingKeys || didcommService.serviceEndpoint.routingKeys
+    if (serviceRoutingKeys && Array.isArray(serviceRoutingKeys)) {
+      routingKeys = serviceRoutingKeys
     }
 
     // If endpoint is a DID (mediator), resolve it to get actual HTTP endpoint
@@ -351,6 +912,27 @@ async function sendDIDCommMessage(message, recipientDID) {
           return ka.id
         })
       }
+    } else if (routingKeys.length > 0) {
+      // An HTTP endpoint with routing keys belongs to a mediator: forward through the first
+      mediatorDID = routingKeys[0].split('#')[0]
+    }
+
+    // Recipients mediated by this server are queued here instead of forwarded to ourselves
+    if (mediatorStore && mediatorDID && isServerDID(mediatorDID)) {
+      const { message: packedForRecipient } = await packMessage(
+        message,
+        recipientDID,
+        SERVER_DID_DATA.did,
+        null
+      )
+      const result = await queueForRecipient(mediatorStore, recipientDID, packedForRecipient)
+      if (result === 'queued') {
+        return { queued: true }
+      }
+      // Retried by the outbound queue once the wallet has picked up some of its messages
+      if (result === 'full') {
+        throw new Error(`Mediator queue for ${recipientDID} is full`)
+      }
     }
 
     console.log('Sending message to endpoint:', endpoint)
@@ -462,123 +1044,470 @@ async function sendDIDCommMessage(message, recipientDID) {
       headers: {
         'Content-Type': 'application/didcomm-encrypted+json'
       },
-      body: messageToSend
+      body: messageToSend,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
     })
 
     console.log('HTTP response status:', response.status, response.statusText)
-    if (!response.ok) {
-      const responseText = await response.text()
-
-      // Check if response is a DIDComm problem-report
-      try {
-        const responseJson = JSON.parse(responseText)
-        if (responseJson.type && responseJson.type.includes('problem-report')) {
-          console.error('=== DIDComm Problem Report Received ===')
-          console.error('Problem Type:', responseJson.type)
-          console.error('Problem ID:', responseJson.id)
-          console.error('Error Code:', responseJson.body?.code)
-          console.error('Error Comment:', responseJson.body?.comment)
-          if (responseJson.body?.args) {
-            console.error('Error Args:', responseJson.body.args)
-          }
-          console.error('Full problem report:', JSON.stringify(responseJson, null, 2))
-          console.error('======================================')
-          throw new Error(`DIDComm Problem: ${responseJson.body?.comment || 'Unknown error'} (${responseJson.body?.code || 'no code'})`)
-        }
-      } catch (parseError) {
-        // Not JSON or not a problem-report, log as regular error
-        if (!(parseError instanceof SyntaxError)) {
-          throw parseError // Re-throw if it's our custom error from above
+    const responseText = await response.text()
+
+    // Check if response is a DIDComm problem-report
+    let problemReport = null
+    try {
+      const responseJson = JSON.parse(responseText)
+      if (responseJson.type && responseJson.type.includes('problem-report')) {
+        problemReport = responseJson
+        console.error('=== DIDComm Problem Report Received ===')
+        console.error('Problem Type:', responseJson.type)
+        console.error('Problem ID:', responseJson.id)
+        console.error('Error Code:', responseJson.body?.code)
+        console.error('Error Comment:', responseJson.body?.comment)
+        if (responseJson.body?.args) {
+          console.error('Error Args:', responseJson.body.args)
         }
+        console.error('Full problem report:', JSON.stringify(responseJson, null, 2))
+        console.error('======================================')
       }
+    } catch {
+      // Not JSON, e.g. an empty body or an encrypted reply
+    }
 
+    if (!response.ok) {
       console.error('HTTP error response:', response.status, response.statusText)
       console.error('Response body:', responseText)
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+      throw Object.assign(
+        new Error(
+          problemReport
+            ? `DIDComm Problem: ${problemReport.body?.comment || 'Unknown error'} (${problemReport.body?.code || 'no code'})`
+            : `HTTP ${response.status}: ${response.statusText}`
+        ),
+        { status: response.status, problemReport }
+      )
     }
 
-    return await response.json()
+    return { httpStatus: response.status, problemReport }
   } catch (error) {
     console.error('Error sending DIDComm message:', error.message)
     throw error
   }
 }
 
+// Promise wrappers around the session store callbacks
+function getStoredSession(sessionId) {
+  return new Promise((resolve, reject) => {
+    sessionStore.get(sessionId, (err, storedSession) =>
+      err ? reject(err) : resolve(storedSession)
+    )
+  })
+}
+
+function setStoredSession(sessionId, storedSession) {
+  return new Promise((resolve, reject) => {
+    sessionStore.set(sessionId, storedSession, err => (err ? reject(err) : resolve()))
+  })
+}
+
+function destroyStoredSession(sessionId) {
+  return new Promise((resolve, reject) => {
+    sessionStore.destroy(sessionId, err => (err ? reject(err) : resolve()))
+  })
+}
+
+function getAllStoredSessions() {
+  return new Promise((resolve, reject) => {
+    sessionStore.all((err, storedSessions) => (err ? reject(err) : resolve(storedSessions || {})))
+  })
+}
+
+// Build a Report Problem 2.0 message in reply to a received message
+// The comment may reference args with {1}, {2}, ... placeholders.
+// message can be null or partial when the failing message couldn't be read.
+function createProblemReport(message, code, comment, args = []) {
+  const pthid = message?.thid || message?.id
+
+  return {
+    type: 'https://didcomm.org/report-problem/2.0/problem-report',
+    id: crypto.randomUUID(),
+    ...(pthid && { pthid }),
+    from: SERVER_DID_DATA.did,
+    ...(message?.from && { to: [message.from] }),
+    created_time: Math.floor(Date.now() / 1000),
+    body: {
+      code,
+      comment,
+      args
+    }
+  }
+}
+
+// Context passed to protocol handlers along with the message
+function createHandlerContext(message, metadata) {
+  return {
+    senderDID: message.from,
+    serverDID: SERVER_DID_DATA.did,
+    metadata,
+    sessionStore,
+    getSession: getStoredSession,
+    setSession: setStoredSession,
+    messageStore,
+    mediatorStore,
+    // Build a reply in the same thread, from the server to the sender
+    reply: (type, body = {}) => ({
+      type,
+      id: crypto.randomUUID(),
+      thid: message.thid || message.id,
+      from: SERVER_DID_DATA.did,
+      to: [message.from],
+      created_time: Math.floor(Date.now() / 1000),
+      body
+    }),
+    problemReport: (code, comment, args) => createProblemReport(message, code, comment, args)
+  }
+}
+
 // Message type handlers
-async function handleLoginMessage(message, req) {
+async function handleSessionLogin(message, context) {
   console.log('Processing login message...')
 
   const sessionToken = message.body?.session_token
 
   if (!sessionToken) {
     console.warn('Login message missing session_token')
+    return context.problemReport(
+      'e.p.msg.missing-session-token',
+      'session-login must include a session_token'
+    )
+  }
+
+  // The session token is a single-use nonce from an invitation we issued to a browser session
+  const invitationCheck = consumeLoginInvitation(sessionToken, message.pthid)
+
+  if (!invitationCheck.valid) {
+    console.warn(`Login message has ${invitationCheck.reason} session token`)
+    logAuthFailure(`session-token-${invitationCheck.reason}`, {
+      messageId: message.id,
+      from: message.from
+    })
+
+    if (invitationCheck.reason === 'expired') {
+      publishSessionState(invitationCheck.sessionId, LOGIN_STATES.EXPIRED)
+      return context.problemReport('e.p.req.expired', 'Login invitation has expired')
+    }
+
+    if (invitationCheck.reason === 'used') {
+      return context.problemReport(
+        'e.p.msg.session-token-used',
+        'Login invitation has already been used'
+      )
+    }
+
+    if (invitationCheck.reason === 'superseded') {
+      return context.problemReport(
+        'e.p.msg.session-token-superseded',
+        'Login invitation has been replaced by a newer QR code'
+      )
+    }
+
+    // No browser is listening for an unknown token, so there is no state to publish
+    return context.problemReport(
+      'e.p.msg.invalid-session-token',
+      'Session token does not match an active login invitation'
+    )
+  }
+
+  const sessionId = invitationCheck.sessionId
+  const browserSession = await context.getSession(sessionId)
+
+  if (!browserSession) {
+    console.warn('Login invitation references a session that no longer exists')
+    return context.problemReport('e.p.req.expired', 'Browser session has expired')
+  }
+
+  publishSessionState(sessionId, LOGIN_STATES.VALIDATING)
+
+  const expires = browserSession.cookie?.expires
+  if (expires && new Date(expires).getTime() <= Date.now()) {
+    console.warn('Login message references expired session')
+    publishSessionState(sessionId, LOGIN_STATES.EXPIRED)
+    return context.problemReport('e.p.req.expired', 'Browser session has expired')
+  }
+
+  if (!message.from) {
+    console.warn('Login message has no sender DID')
+    publishSessionState(sessionId, LOGIN_STATES.REJECTED, { reason: 'Missing sender DID' })
     return null
   }
 
-  // In production, validate the session token exists and is active
-  // For now, we'll create a simple response
+  if (REQUIRE_LOGIN_CHALLENGE) {
+    // The wallet must prove it holds the connection DID's authentication key first
+    const challenge = createLoginChallenge(message.id, {
+      sessionId,
+      walletDID: message.from,
+      origin: invitationCheck.origin
+    })
+    publishSessionState(sessionId, LOGIN_STATES.CHALLENGED)
+    return context.reply('https://didcomm.org/login/1.0/challenge', challenge)
+  }
 
-  return {
-    type: 'https://didcomm.org/login/1.0/session-authenticated',
-    id: crypto.randomUUID(),
-    thid: message.id,
-    from: SERVER_DID_DATA.did,
-    to: [message.from],
-    created_time: Math.floor(Date.now() / 1000),
-    body: {
-      session_token: sessionToken,
-      authenticated: true
+  return continueLogin(sessionId, browserSession, message.id, context)
+}
+
+// Verify a signed challenge-response before authenticating the browser session
+async function handleChallengeResponse(message, context) {
+  console.log('Processing challenge-response message...')
+
+  if (!context.metadata.sign_from) {
+    logAuthFailure('login-challenge-unsigned', { messageId: message.id, from: message.from })
+    return context.problemReport('e.p.trust.crypto', 'challenge-response must be signed')
+  }
+
+  const challengeCheck = consumeLoginChallenge(message.thid, message.from, message.body)
+
+  if (!challengeCheck.valid) {
+    console.warn(`Challenge-response failed: ${challengeCheck.reason}`)
+    logAuthFailure(`login-challenge-${challengeCheck.reason}`, {
+      messageId: message.id,
+      from: message.from
+    })
+
+    if (challengeCheck.reason === 'expired') {
+      publishSessionState(challengeCheck.sessionId, LOGIN_STATES.EXPIRED)
+      return context.problemReport('e.p.req.expired', 'Login challenge has expired')
+    }
+
+    if (challengeCheck.sessionId) {
+      publishSessionState(challengeCheck.sessionId, LOGIN_STATES.REJECTED, {
+        reason: 'Challenge-response did not match'
+      })
     }
+    return context.problemReport(
+      'e.p.msg.invalid-challenge-response',
+      'challenge-response does not answer an outstanding login challenge'
+    )
+  }
+
+  const browserSession = await context.getSession(challengeCheck.sessionId)
+
+  if (!browserSession) {
+    console.warn('Login challenge references a session that no longer exists')
+    return context.problemReport('e.p.req.expired', 'Browser session has expired')
   }
+
+  return continueLogin(challengeCheck.sessionId, browserSession, message.thid, context)
 }
 
-async function handleMediationRequest(message) {
-  console.log('Processing mediation request...')
+// Request credentials when the login requires a presentation, otherwise complete the login
+function continueLogin(sessionId, browserSession, loginThreadId, context) {
+  const name = DEFAULT_LOGIN_PRESENTATION || browserSession.loginPresentation
+  const definition = Object.hasOwn(PRESENTATION_DEFINITIONS, name ?? '')
+    ? PRESENTATION_DEFINITIONS[name]
+    : null
 
-  // This is a simple stub - real mediation requires more complex logic
-  return {
-    type: 'https://didcomm.org/coordinate-mediation/3.0/mediate-deny',
-    id: crypto.randomUUID(),
-    thid: message.id,
-    from: SERVER_DID_DATA.did,
-    to: [message.from],
-    created_time: Math.floor(Date.now() / 1000),
-    body: {
-      reason: 'This server does not provide mediation services'
+  if (definition) {
+    publishSessionState(sessionId, LOGIN_STATES.PRESENTATION_REQUESTED, {
+      purpose: definition.purpose
+    })
+    return createPresentationRequest(definition, {
+      sessionId,
+      walletDID: context.senderDID,
+      loginThreadId,
+      serverDID: SERVER_DID_DATA.did
+    })
+  }
+
+  return completeLogin(sessionId, browserSession, loginThreadId, context)
+}
+
+// Verify the credentials a wallet presents for a login, then authenticate the session
+async function handlePresentation(message, context) {
+  console.log('Processing presentation message...')
+
+  const request = consumePresentationRequest(message.thid, message.from)
+
+  if (!request.valid) {
+    logAuthFailure(`login-presentation-${request.reason}`, {
+      messageId: message.id,
+      from: message.from
+    })
+
+    if (request.reason === 'expired') {
+      publishSessionState(request.sessionId, LOGIN_STATES.EXPIRED)
+      return context.problemReport('e.p.req.expired', 'Presentation request has expired')
     }
+    return context.problemReport(
+      'e.p.msg.invalid-presentation',
+      'presentation does not answer an outstanding presentation request'
+    )
+  }
+
+  // The presentation is carried in a Presentation Exchange attachment: a JWT base64url-encoded,
+  // or a Data Integrity presentation as JSON
+  const attachment = (message.attachments || []).find(
+    candidate => candidate.format === 'dif/presentation-exchange/submission@v1.0'
+  )
+  const presentation =
+    attachment?.data?.json ||
+    (attachment?.data?.base64
+      ? Buffer.from(attachment.data.base64, 'base64url').toString('utf8')
+      : null)
+
+  // The challenge only went to the sender, so the presentation can't come from anyone else
+  const verification = presentation
+    ? await verifyPresentation(presentation, {
+        challenge: request.challenge,
+        domain: request.domain,
+        resolveDID: did => didResolver.resolve(did)
+      })
+    : { valid: false, reason: 'no presentation attached' }
+
+  const evaluation = verification.valid
+    ? evaluatePresentationDefinition(
+        request.definition,
+        verification.credentials,
+        issuer => isServerDID(issuer) || TRUSTED_CREDENTIAL_ISSUERS.includes(issuer)
+      )
+    : verification
+
+  if (!evaluation.valid) {
+    console.warn(`Presentation rejected: ${evaluation.reason}`)
+    logAuthFailure('login-presentation-rejected', {
+      messageId: message.id,
+      from: message.from,
+      detail: evaluation.reason
+    })
+    publishSessionState(request.sessionId, LOGIN_STATES.REJECTED, { reason: evaluation.reason })
+    return context.problemReport('e.p.msg.presentation-rejected', 'Presentation rejected: {1}', [
+      evaluation.reason
+    ])
+  }
+
+  const browserSession = await context.getSession(request.sessionId)
+
+  if (!browserSession) {
+    console.warn('Presentation request references a session that no longer exists')
+    return context.problemReport('e.p.req.expired', 'Browser session has expired')
   }
+
+  // Keep what the credentials say about the user, for the website to read from the session
+  browserSession.verifiedClaims = Object.entries(evaluation.matches).map(
+    ([descriptorId, credential]) => ({
+      descriptorId,
+      issuer: credential.issuer,
+      type: credential.type,
+      credentialSubject: credential.credentialSubject,
+      expirationDate: credential.expirationDate
+    })
+  )
+
+  return completeLogin(request.sessionId, browserSession, request.loginThreadId, context)
 }
 
-async function handleTrustPing(message) {
-  console.log('Processing trust ping...')
+// Bind the wallet's connection DID to the browser session and confirm with session-connected
+// loginThreadId is the id of the session-login message that started the login
+async function completeLogin(sessionId, browserSession, loginThreadId, context) {
+  browserSession.walletDID = context.senderDID
+  browserSession.authenticated = true
+  browserSession.authenticatedVia = 'didcomm'
+  browserSession.authenticatedAt = Date.now()
+  browserSession.loginThreadId = loginThreadId
+
+  // The session token lets the wallet's API clients use this session without the cookie
+  const { token, claims } = issueSessionToken(context.senderDID)
+  browserSession.sessionTokenId = claims.jti
+  await context.setSession(sessionId, browserSession)
+
+  console.log('Browser session authenticated by wallet DID')
+  publishSessionState(sessionId, LOGIN_STATES.AUTHENTICATED, {
+    walletDID: browserSession.walletDID,
+    authenticatedAt: browserSession.authenticatedAt
+  })
+  requestUserProfile(sessionId, context.senderDID, loginThreadId)
 
+  // The reply belongs to the login thread, even when it answers a presentation
   return {
-    type: 'https://didcomm.org/trust-ping/2.0/ping-response',
-    id: crypto.randomUUID(),
-    thid: message.id,
-    from: SERVER_DID_DATA.did,
-    to: [message.from],
-    created_time: Math.floor(Date.now() / 1000),
-    body: {}
+    ...context.reply('https://didcomm.org/login/1.0/session-connected', {
+      session_token: token,
+      expires_time: claims.exp
+    }),
+    thid: loginThreadId
   }
 }
 
-async function handleUserProfileRequest(message) {
-  console.log('Processing user profile request...')
+// End the browser session(s) a wallet authenticated, when the wallet logs out
+async function handleSessionLogout(message, context) {
+  console.log('Processing logout message...')
 
-  return {
-    type: 'https://didcomm.org/user-profile/1.0/profile',
-    id: crypto.randomUUID(),
-    thid: message.id,
-    from: SERVER_DID_DATA.did,
-    to: [message.from],
-    created_time: Math.floor(Date.now() / 1000),
-    body: {
-      profile: {
-        displayName: 'Example Website'
-      }
+  const walletSessions = (await getWalletSessions(message.from)).filter(
+    ([, storedSession]) => !message.thid || storedSession.loginThreadId === message.thid
+  )
+
+  if (walletSessions.length === 0) {
+    return context.problemReport(
+      'e.p.msg.session-not-found',
+      'No active session was authenticated by this DID'
+    )
+  }
+
+  for (const [sessionId] of walletSessions) {
+    await revokeSession(sessionId, { notifyWallet: false })
+  }
+
+  console.log(`Logged out ${walletSessions.length} session(s) at the wallet's request`)
+  return null
+}
+
+// Without MEDIATOR_ENABLED the server doesn't mediate (see mediator.js)
+async function handleMediationRequest(message, context) {
+  console.log('Processing mediation request...')
+
+  return context.reply('https://didcomm.org/coordinate-mediation/3.0/mediate-deny', {
+    reason: 'This server does not provide mediation services'
+  })
+}
+
+async function handleTrustPing(message, context) {
+  console.log('Processing trust ping...')
+
+  return context.reply('https://didcomm.org/trust-ping/2.0/ping-response')
+}
+
+async function handleTrustPingResponse(message) {
+  console.log('Received trust ping response from:', message.from)
+  return null
+}
+
+// Keep the profile the wallet's user chose to share in the browser session it logged in
+async function handleUserProfile(message, context) {
+  console.log('Processing user profile...')
+
+  const request = consumeProfileRequest(message.thid, message.from)
+
+  if (!request.valid) {
+    if (request.reason === 'expired') {
+      return context.problemReport('e.p.req.expired', 'Profile request has expired')
     }
+    return context.problemReport(
+      'e.p.msg.invalid-profile',
+      'profile does not answer an outstanding profile request'
+    )
   }
+
+  const browserSession = await context.getSession(request.sessionId)
+
+  if (!browserSession?.authenticated || browserSession.walletDID !== message.from) {
+    console.warn('Profile received for a session that is no longer logged in')
+    return context.problemReport('e.p.req.expired', 'Browser session has ended')
+  }
+
+  browserSession.userProfile = { ...readProfile(message, request.query), receivedAt: Date.now() }
+  await context.setSession(request.sessionId, browserSession)
+
+  publishSessionState(request.sessionId, LOGIN_STATES.AUTHENTICATED, {
+    walletDID: browserSession.walletDID,
+    authenticatedAt: browserSession.authenticatedAt,
+    userProfile: browserSession.userProfile
+  })
+  return null
 }
 
 async function handleBasicMessage(message) {
@@ -595,26 +1524,89 @@ async function handleOutOfBandInvitation(message) {
   return null
 }
 
+async function handleProblemReport(message) {
+  console.warn('Received problem report:', message.body?.code, message.body?.comment)
+  return null
+}
+
+// Protocols this server understands, keyed by PIURI and message name
+const protocols = new ProtocolRegistry()
+  .register(
+    'https://didcomm.org/login/1.0',
+    {
+      'session-login': handleSessionLogin,
+      'challenge-response': handleChallengeResponse,
+      'session-logout': handleSessionLogout
+    },
+    { authcrypt: true }
+  )
+  .register(
+    'https://didcomm.org/present-proof/3.0',
+    { presentation: handlePresentation },
+    { authcrypt: true }
+  )
+  .register('https://didcomm.org/trust-ping/2.0', {
+    ping: handleTrustPing,
+    'ping-response': handleTrustPingResponse
+  })
+  .register('https://didcomm.org/basic-message/2.0', {
+    message: handleBasicMessage
+  })
+  .register(
+    'https://didcomm.org/user-profile/1.0',
+    { profile: handleUserProfile },
+    { authcrypt: true }
+  )
+  .register('https://didcomm.org/out-of-band/2.0', {
+    invitation: handleOutOfBandInvitation
+  })
+  .register('https://didcomm.org/report-problem/2.0', {
+    'problem-report': handleProblemReport
+  })
+
+// Mediation protocols are bound to the requesting DID, so they must be authcrypted; forwards
+// come from anyone
+if (MEDIATOR_ENABLED) {
+  protocols
+    .register(COORDINATE_MEDIATION_PROTOCOL, coordinateMediationHandlers, { authcrypt: true })
+    .register(ROUTING_PROTOCOL, routingHandlers)
+    .register(PICKUP_PROTOCOL, pickupHandlers, { authcrypt: true })
+} else {
+  protocols.register(COORDINATE_MEDIATION_PROTOCOL, {
+    'mediate-request': handleMediationRequest
+  })
+}
+
 // API endpoint to retrieve messages for a session
-app.get('/api/messages/:sessionToken', (req, res) => {
-  const sessionToken = req.params.sessionToken
-  const messages = sessionMessageQueue.get(sessionToken) || []
+// Paginated with ?limit= and ?offset=
+app.get('/api/messages/:sessionToken', async (req, res) => {
+  const page = await messageStore.queryMessages({
+    sessionToken: req.params.sessionToken,
+    limit: req.query.limit,
+    offset: req.query.offset
+  })
 
   res.json({
     success: true,
-    count: messages.length,
-    messages: messages
+    count: page.messages.length,
+    ...page
   })
 })
 
 // API endpoint to retrieve all stored messages (for debugging)
-app.get('/api/messages', (req, res) => {
-  const allMessages = Array.from(messageStore.values())
+// Paginated with ?limit= and ?offset=, filterable with ?thid= and ?from=
+app.get('/api/messages', async (req, res) => {
+  const page = await messageStore.queryMessages({
+    thid: req.query.thid,
+    from: req.query.from,
+    limit: req.query.limit,
+    offset: req.query.offset
+  })
 
   res.json({
     success: true,
-    count: allMessages.length,
-    messages: allMessages
+    count: page.messages.length,
+    ...page
   })
 })
 
@@ -629,6 +1621,142 @@ app.get('/api/did', (req, res) => {
   })
 })
 
+// Issue a demo credential signed by the server DID, e.g. an EmployeeCredential to log in with
+app.post('/api/admin/credentials', requireAdmin, (req, res) => {
+  const { subject, type, claims, format = 'jwt' } = req.body || {}
+
+  if (!subject || !type) {
+    return res.status(400).json({
+      success: false,
+      error: 'subject and type are required'
+    })
+  }
+
+  if (!CREDENTIAL_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${CREDENTIAL_FORMATS.join(', ')}`
+    })
+  }
+
+  res.json({
+    success: true,
+    credential: issueCredential(SERVER_DID_DATA.did, SERVER_DID_DATA.privateKeys['key-1'], {
+      subject,
+      type,
+      claims,
+      format
+    })
+  })
+})
+
+// Rotate the server DID and announce the new DID to every DID that has messaged us
+app.post('/api/admin/rotate-did', requireAdmin, async (req, res) => {
+  try {
+    const rotation = await rotateServerDID()
+
+    const knownSenders = (await messageStore.getSenders()).filter(
+      from => from !== rotation.priorDID
+    )
+
+    // A trust-ping from the new DID carrying from_prior tells each wallet about the rotation
+    const notifications = await Promise.all(
+      knownSenders.map(walletDID =>
+        outboundQueue.enqueue(
+          {
+            type: 'https://didcomm.org/trust-ping/2.0/ping',
+            id: crypto.randomUUID(),
+            from: rotation.did,
+            to: [walletDID],
+            from_prior: rotation.fromPrior,
+            created_time: Math.floor(Date.now() / 1000),
+            body: {
+              response_requested: false
+            }
+          },
+          walletDID
+        )
+      )
+    )
+
+    res.json({
+      success: true,
+      priorDID: rotation.priorDID,
+      did: rotation.did,
+      graceUntil: rotation.graceUntil,
+      notified: notifications.length
+    })
+  } catch (error) {
+    console.error('Failed to rotate server DID:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Messages in the outbound queue with their delivery attempts
+// Paginated with ?limit= and ?offset=, filterable with ?status= (pending, delivered or dead)
+app.get('/api/admin/outbound', requireAdmin, async (req, res) => {
+  const page = await outboundQueue.store.queryRecords({
+    status: req.query.status,
+    limit: req.query.limit,
+    offset: req.query.offset
+  })
+
+  res.json({
+    success: true,
+    count: page.messages.length,
+    ...page
+  })
+})
+
+// Dead letters: messages the outbound queue gave up delivering
+// Paginated with ?limit= and ?offset=
+app.get('/api/admin/dead-letters', requireAdmin, async (req, res) => {
+  const page = await outboundQueue.store.queryRecords({
+    status: OUTBOUND_STATUS.DEAD,
+    limit: req.query.limit,
+    offset: req.query.offset
+  })
+
+  res.json({
+    success: true,
+    count: page.messages.length,
+    ...page
+  })
+})
+
+// Try delivering a dead letter again
+app.post('/api/admin/dead-letters/:id/retry', requireAdmin, async (req, res) => {
+  const record = await outboundQueue.retry(req.params.id)
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dead letter not found'
+    })
+  }
+
+  res.json({
+    success: true,
+    message: record
+  })
+})
+
+// Drop a dead letter
+app.delete('/api/admin/dead-letters/:id', requireAdmin, async (req, res) => {
+  if (!(await outboundQueue.discard(req.params.id))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dead letter not found'
+    })
+  }
+
+  res.json({
+    success: true
+  })
+})
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() })
@@ -640,4 +1768,7 @@ app.listen(PORT, () => {
   console.log(`DIDComm endpoint available at: http://localhost:${PORT}/didcomm`)
   console.log(`Server DID: ${SERVER_DID_DATA.did}`)
   console.log(`Server DID Document available at: http://localhost:${PORT}/api/did`)
+  if (MEDIATOR_ENABLED) {
+    console.log('Mediator enabled: wallets can request mediation from the server DID')
+  }
 })
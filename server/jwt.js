@@ -0,0 +1,111 @@
+// EdDSA (Ed25519) JSON Web Tokens signed and verified with DID keys
+//
+// Used for the server's session tokens and for JWT verifiable credentials and presentations.
+// Verification keys are looked up in the signer's DID document through a resolveDID function.
+import { createPrivateKey, createPublicKey, sign, verify } from 'crypto'
+import * as peer4 from './peer4.js'
+
+export const base64url = input => Buffer.from(input).toString('base64url')
+
+/**
+ * Signs a JWT with an Ed25519 key given as { privateKeyBytes, publicKeyBytes }.
+ */
+export function signJwt(header, claims, keyData) {
+  const privateKey = createPrivateKey({
+    key: {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      d: base64url(keyData.privateKeyBytes),
+      x: base64url(keyData.publicKeyBytes)
+    },
+    format: 'jwk'
+  })
+
+  const encodedHeader = base64url(JSON.stringify({ alg: 'EdDSA', typ: 'JWT', ...header }))
+  const signingInput = `${encodedHeader}.${base64url(JSON.stringify(claims))}`
+  const signature = sign(null, Buffer.from(signingInput), privateKey)
+
+  return `${signingInput}.${base64url(signature)}`
+}
+
+/**
+ * Splits a JWT into its decoded header and claims, or returns null if it is malformed.
+ */
+export function decodeJwt(token) {
+  const segments = typeof token === 'string' ? token.split('.') : []
+  if (segments.length !== 3) return null
+
+  try {
+    return {
+      header: JSON.parse(Buffer.from(segments[0], 'base64url').toString('utf8')),
+      claims: JSON.parse(Buffer.from(segments[1], 'base64url').toString('utf8')),
+      signingInput: `${segments[0]}.${segments[1]}`,
+      signature: Buffer.from(segments[2], 'base64url')
+    }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Returns the raw Ed25519 public key of a verification method, or null for other key types.
+ */
+function ed25519PublicKey(verificationMethod) {
+  if (verificationMethod.publicKeyJwk) {
+    const { kty, crv, x } = verificationMethod.publicKeyJwk
+    return kty === 'OKP' && crv === 'Ed25519' && x ? Buffer.from(x, 'base64url') : null
+  }
+
+  if (verificationMethod.publicKeyMultibase?.startsWith('z')) {
+    // Multikey Ed25519 keys are the 0xed01 multicodec prefix followed by the 32 key bytes
+    const bytes = peer4.fromMultibaseB58(verificationMethod.publicKeyMultibase)
+    return bytes.length === 34 && bytes[0] === 0xed && bytes[1] === 0x01 ? bytes.slice(2) : null
+  }
+
+  return null
+}
+
+/**
+ * Looks up the Ed25519 public key a kid refers to, as a Node KeyObject.
+ * The key must be listed under one of the given verification relationships of its DID.
+ * Returns null if the DID can't be resolved or the key doesn't qualify.
+ */
+export async function resolveVerificationKey(
+  kid,
+  resolveDID,
+  relationships = ['authentication', 'assertionMethod']
+) {
+  const [kidDID, fragment] = typeof kid === 'string' ? kid.split('#') : []
+  const didDocument = kidDID && fragment ? await resolveDID(kidDID) : null
+  if (!didDocument) return null
+
+  // A did:peer:4 can appear in long or short form
+  const names = [kidDID, didDocument.id, ...(didDocument.alsoKnownAs || [])]
+  const matches = ref => {
+    const [refDID, refFragment] = (typeof ref === 'string' ? ref : ref.id).split('#')
+    return refFragment === fragment && (!refDID || names.includes(refDID))
+  }
+
+  const permitted = relationships.some(relationship =>
+    (didDocument[relationship] || []).some(matches)
+  )
+  const verificationMethod = (didDocument.verificationMethod || []).find(matches)
+  const publicKey = permitted && verificationMethod ? ed25519PublicKey(verificationMethod) : null
+
+  return publicKey
+    ? createPublicKey({
+        key: { kty: 'OKP', crv: 'Ed25519', x: base64url(publicKey) },
+        format: 'jwk'
+      })
+    : null
+}
+
+/**
+ * Checks the signature of a decoded JWT against a public key.
+ */
+export function verifyJwtSignature(decoded, publicKey) {
+  return (
+    decoded.header.alg === 'EdDSA' &&
+    verify(null, Buffer.from(decoded.signingInput), publicKey, decoded.signature)
+  )
+}
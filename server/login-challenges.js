@@ -0,0 +1,77 @@
+// Challenge-response extension of the login protocol (see Protocols/Login.md)
+//
+// After a valid session-login the website answers with a challenge holding a random nonce
+// and the origin the browser session was opened on. The wallet answers with a
+// challenge-response echoing both, signed with its connection DID's authentication key,
+// and only then is the browser session authenticated.
+import crypto from 'crypto'
+
+// Whether a session-login must be followed by a signed challenge-response
+// The extension is optional, so it is off unless LOGIN_CHALLENGE=true: wallets that don't
+// implement challenge-response can't log in while it is on.
+export const REQUIRE_LOGIN_CHALLENGE = process.env.LOGIN_CHALLENGE === 'true'
+
+// How long the wallet has to answer a challenge
+const CHALLENGE_TTL_SECONDS = Number(process.env.LOGIN_CHALLENGE_TTL_SECONDS) || 120
+
+// Outstanding challenges keyed by the session-login message id, which is their thread id
+const pendingChallenges = new Map()
+
+/**
+ * Drops expired challenges.
+ */
+function pruneChallenges(now = Date.now()) {
+  for (const [threadId, record] of pendingChallenges) {
+    if (record.expiresAt <= now) {
+      pendingChallenges.delete(threadId)
+    }
+  }
+}
+
+/**
+ * Creates the challenge for a session-login and returns the challenge message body.
+ */
+export function createLoginChallenge(threadId, { sessionId, walletDID, origin }) {
+  pruneChallenges()
+
+  const nonce = crypto.randomBytes(32).toString('base64url')
+  const expiresTime = Math.floor(Date.now() / 1000) + CHALLENGE_TTL_SECONDS
+
+  pendingChallenges.set(threadId, {
+    sessionId,
+    walletDID,
+    origin,
+    nonce,
+    expiresAt: expiresTime * 1000
+  })
+
+  return { nonce, origin, expires_time: expiresTime }
+}
+
+/**
+ * Checks a challenge-response body against the challenge of its thread. A challenge can be
+ * answered once, right or wrong. Returns { valid: true, sessionId } or
+ * { valid: false, reason, sessionId } where reason is one of 'unknown', 'expired' or 'mismatch'.
+ */
+export function consumeLoginChallenge(threadId, from, body = {}) {
+  const record = threadId ? pendingChallenges.get(threadId) : null
+  if (!record || record.walletDID !== from) {
+    return { valid: false, reason: 'unknown' }
+  }
+
+  pendingChallenges.delete(threadId)
+
+  if (record.expiresAt <= Date.now()) {
+    return { valid: false, reason: 'expired', sessionId: record.sessionId }
+  }
+
+  const expected = Buffer.from(record.nonce)
+  const actual = Buffer.from(String(body.nonce ?? ''))
+  const nonceMatches = expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+
+  if (!nonceMatches || body.origin !== record.origin) {
+    return { valid: false, reason: 'mismatch', sessionId: record.sessionId }
+  }
+
+  return { valid: true, sessionId: record.sessionId }
+}
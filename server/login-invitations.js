@@ -0,0 +1,142 @@
+// Server-issued login invitations (Out-of-Band 2.0 with goal_code "login")
+import crypto from 'crypto'
+
+// How long an invitation (and its session token) stays valid
+const INVITATION_TTL_SECONDS = Number(process.env.LOGIN_INVITATION_TTL_SECONDS) || 300
+
+// Key used to sign session tokens, so forged tokens are rejected before any lookup
+const TOKEN_SIGNING_KEY =
+  process.env.LOGIN_TOKEN_SECRET ||
+  process.env.SESSION_SECRET ||
+  'didcomm-demo-secret-change-in-production'
+
+// Issued invitations keyed by session token (in production, use a shared store)
+const issuedInvitations = new Map()
+
+/**
+ * Signs a nonce with HMAC-SHA256 and returns the base64url signature.
+ */
+function signNonce(nonce) {
+  return crypto.createHmac('sha256', TOKEN_SIGNING_KEY).update(nonce).digest('base64url')
+}
+
+/**
+ * Checks that a session token is a nonce followed by its valid signature.
+ */
+function verifySessionToken(sessionToken) {
+  if (typeof sessionToken !== 'string') return false
+
+  const [nonce, signature] = sessionToken.split('.')
+  if (!nonce || !signature) return false
+
+  const expected = Buffer.from(signNonce(nonce))
+  const actual = Buffer.from(signature)
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+/**
+ * Drops expired invitations. Used and superseded ones are kept until they expire
+ * so that replays get a meaningful rejection reason.
+ */
+function pruneInvitations(now = Date.now()) {
+  for (const [token, record] of issuedInvitations) {
+    if (record.expiresAt <= now) {
+      issuedInvitations.delete(token)
+    }
+  }
+}
+
+/**
+ * Invalidates every outstanding invitation issued to a session.
+ */
+export function supersedeSessionInvitations(sessionId) {
+  for (const record of issuedInvitations.values()) {
+    if (record.sessionId === sessionId && !record.usedAt && !record.supersededAt) {
+      record.supersededAt = Date.now()
+    }
+  }
+}
+
+/**
+ * Creates a login invitation bound to a browser session and the origin it was opened on.
+ * The session token in the invitation is a fresh signed nonce, never the session ID.
+ * Any earlier invitation for the same session stops being accepted.
+ */
+export function createLoginInvitation(sessionId, serverDID, origin = null) {
+  pruneInvitations()
+  supersedeSessionInvitations(sessionId)
+
+  const nonce = crypto.randomBytes(32).toString('base64url')
+  const sessionToken = `${nonce}.${signNonce(nonce)}`
+  const createdTime = Math.floor(Date.now() / 1000)
+  const expiresTime = createdTime + INVITATION_TTL_SECONDS
+
+  const invitation = {
+    type: 'https://didcomm.org/out-of-band/2.0/invitation',
+    id: crypto.randomUUID(),
+    from: serverDID,
+    body: {
+      goal_code: 'login',
+      goal: 'To login to the website',
+      accept: ['didcomm/v2'],
+      session_token: sessionToken
+    },
+    created_time: createdTime,
+    expires_time: expiresTime
+  }
+
+  issuedInvitations.set(sessionToken, {
+    invitationId: invitation.id,
+    sessionId,
+    origin,
+    createdAt: createdTime * 1000,
+    expiresAt: expiresTime * 1000,
+    usedAt: null,
+    supersededAt: null
+  })
+
+  return invitation
+}
+
+/**
+ * Validates a session token from a session-login message and marks its invitation as used.
+ * If the message names the invitation it answers (pthid), it must be the one the token came from.
+ * Returns { valid: true, sessionId, invitationId, origin } or { valid: false, reason } where reason is
+ * one of 'invalid', 'unknown', 'expired', 'used' or 'superseded'.
+ */
+export function consumeLoginInvitation(sessionToken, invitationId = null) {
+  if (!verifySessionToken(sessionToken)) {
+    return { valid: false, reason: 'invalid' }
+  }
+
+  const record = issuedInvitations.get(sessionToken)
+  if (!record) {
+    return { valid: false, reason: 'unknown' }
+  }
+
+  if (invitationId && invitationId !== record.invitationId) {
+    return { valid: false, reason: 'invalid' }
+  }
+
+  if (record.usedAt) {
+    return { valid: false, reason: 'used' }
+  }
+
+  if (record.supersededAt) {
+    return { valid: false, reason: 'superseded' }
+  }
+
+  if (record.expiresAt <= Date.now()) {
+    issuedInvitations.delete(sessionToken)
+    return { valid: false, reason: 'expired', sessionId: record.sessionId }
+  }
+
+  record.usedAt = Date.now()
+
+  return {
+    valid: true,
+    sessionId: record.sessionId,
+    invitationId: record.invitationId,
+    origin: record.origin
+  }
+}
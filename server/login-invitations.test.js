@@ -0,0 +1,49 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { consumeLoginInvitation, createLoginInvitation } from './login-invitations.js'
+
+const SERVER_DID = 'did:example:server'
+
+test('accepts an invitation once', () => {
+  const invitation = createLoginInvitation('session-1', SERVER_DID, 'https://example.org')
+  const token = invitation.body.session_token
+
+  assert.deepEqual(consumeLoginInvitation(token, invitation.id), {
+    valid: true,
+    sessionId: 'session-1',
+    invitationId: invitation.id,
+    origin: 'https://example.org'
+  })
+  assert.equal(consumeLoginInvitation(token).reason, 'used')
+})
+
+test('rejects tokens that were not issued or do not match the invitation', () => {
+  const invitation = createLoginInvitation('session-2', SERVER_DID)
+  const [nonce] = invitation.body.session_token.split('.')
+
+  assert.equal(consumeLoginInvitation(`${nonce}.forged`).reason, 'invalid')
+  assert.equal(consumeLoginInvitation(invitation.body.session_token, 'other').reason, 'invalid')
+})
+
+test('a new invitation supersedes the earlier ones of the same session', () => {
+  const first = createLoginInvitation('session-3', SERVER_DID)
+  const other = createLoginInvitation('session-4', SERVER_DID)
+  const second = createLoginInvitation('session-3', SERVER_DID)
+
+  assert.equal(consumeLoginInvitation(first.body.session_token).reason, 'superseded')
+  assert.equal(consumeLoginInvitation(second.body.session_token).valid, true)
+  assert.equal(consumeLoginInvitation(other.body.session_token).valid, true)
+})
+
+test('rejects an expired invitation and forgets it', t => {
+  const invitation = createLoginInvitation('session-5', SERVER_DID)
+  const expiresAt = invitation.expires_time * 1000
+  t.mock.method(Date, 'now', () => expiresAt)
+
+  assert.deepEqual(consumeLoginInvitation(invitation.body.session_token), {
+    valid: false,
+    reason: 'expired',
+    sessionId: 'session-5'
+  })
+  assert.equal(consumeLoginInvitation(invitation.body.session_token).reason, 'unknown')
+})
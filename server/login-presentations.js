@@ -0,0 +1,94 @@
+// Verifiable credential requests made during login (Present Proof 3.0, see Protocols/Login.md)
+//
+// When a login requires a presentation definition, the website sends a request-presentation
+// once the wallet has logged in (and answered the challenge, if any). The browser session is
+// authenticated only after the wallet presents credentials that satisfy the definition.
+import crypto from 'crypto'
+
+// How long the wallet has to present credentials
+const PRESENTATION_TTL_SECONDS = Number(process.env.LOGIN_PRESENTATION_TTL_SECONDS) || 300
+
+// Outstanding requests keyed by the request-presentation message id, which is their thread id
+const pendingRequests = new Map()
+
+/**
+ * Drops expired requests.
+ */
+function pruneRequests(now = Date.now()) {
+  for (const [requestId, record] of pendingRequests) {
+    if (record.expiresAt <= now) {
+      pendingRequests.delete(requestId)
+    }
+  }
+}
+
+/**
+ * Builds a request-presentation message for a login and remembers it.
+ */
+export function createPresentationRequest(
+  definition,
+  { sessionId, walletDID, loginThreadId, serverDID }
+) {
+  pruneRequests()
+
+  const challenge = crypto.randomBytes(32).toString('base64url')
+  const createdTime = Math.floor(Date.now() / 1000)
+  const request = {
+    type: 'https://didcomm.org/present-proof/3.0/request-presentation',
+    id: crypto.randomUUID(),
+    pthid: loginThreadId,
+    from: serverDID,
+    to: [walletDID],
+    created_time: createdTime,
+    expires_time: createdTime + PRESENTATION_TTL_SECONDS,
+    body: {
+      goal_code: 'login',
+      comment: definition.purpose
+    },
+    attachments: [
+      {
+        id: crypto.randomUUID(),
+        media_type: 'application/json',
+        format: 'dif/presentation-exchange/definitions@v1.0',
+        data: {
+          json: {
+            options: { challenge, domain: serverDID },
+            presentation_definition: definition
+          }
+        }
+      }
+    ]
+  }
+
+  pendingRequests.set(request.id, {
+    sessionId,
+    walletDID,
+    loginThreadId,
+    definition,
+    challenge,
+    domain: serverDID,
+    expiresAt: request.expires_time * 1000
+  })
+
+  return request
+}
+
+/**
+ * Takes the request a presentation answers. A request can be answered once.
+ * Returns { valid: true, ...request } or { valid: false, reason, sessionId } where reason is
+ * 'unknown' or 'expired'.
+ */
+export function consumePresentationRequest(requestId, from) {
+  const record = requestId ? pendingRequests.get(requestId) : null
+  if (!record || record.walletDID !== from) {
+    return { valid: false, reason: 'unknown' }
+  }
+
+  pendingRequests.delete(requestId)
+
+  if (record.expiresAt <= Date.now()) {
+    return { valid: false, reason: 'expired', sessionId: record.sessionId }
+  }
+
+  return { valid: true, ...record }
+}
@@ -0,0 +1,345 @@
+// Storage for the mediator: granted mediations, keylists and queued messages
+//
+// Two implementations share one async interface, like the message store:
+// - SqliteMediatorStore keeps everything in an sql.js database saved to MEDIATOR_STORE_FILE
+// - MemoryMediatorStore keeps it in Maps (for tests and throwaway runs)
+// MEDIATOR_STORE selects one ('sqlite' by default, or 'memory').
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import { SqliteStore } from './sqlite-store.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const MEDIATOR_STORE_FILE =
+  process.env.MEDIATOR_STORE_FILE || path.join(__dirname, 'mediator.sqlite')
+
+// How long queued messages wait to be picked up before they are dropped (default 7 days)
+export const MEDIATOR_QUEUE_TTL_MS =
+  (Number(process.env.MEDIATOR_QUEUE_TTL_SECONDS) || 7 * 24 * 60 * 60) * 1000
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000
+
+/**
+ * In-memory mediator store. Mediations and queues are lost on restart.
+ */
+export class MemoryMediatorStore {
+  constructor() {
+    // client DID -> { clientDID, routingDID, grantedAt }
+    this.mediations = new Map()
+    // recipient DID -> client DID
+    this.keys = new Map()
+    // queued message id -> { id, clientDID, recipientDID, message, queuedAt }
+    this.queue = new Map()
+  }
+
+  async init() {}
+
+  async grantMediation(clientDID, routingDID) {
+    const mediation = { clientDID, routingDID, grantedAt: new Date().toISOString() }
+    this.mediations.set(clientDID, mediation)
+    return { ...mediation }
+  }
+
+  async getMediation(clientDID) {
+    const mediation = this.mediations.get(clientDID)
+    return mediation ? { ...mediation } : null
+  }
+
+  async addKey(clientDID, recipientDID) {
+    const owner = this.keys.get(recipientDID)
+    if (owner === clientDID) return 'no_change'
+    if (owner) return 'client_error'
+    this.keys.set(recipientDID, clientDID)
+    return 'success'
+  }
+
+  async removeKey(clientDID, recipientDID) {
+    if (this.keys.get(recipientDID) !== clientDID) return 'no_change'
+    this.keys.delete(recipientDID)
+    return 'success'
+  }
+
+  /**
+   * Returns a page of a client's recipient DIDs, in the order they were added.
+   */
+  async queryKeys(clientDID, { limit, offset }) {
+    const keys = Array.from(this.keys)
+      .filter(([, owner]) => owner === clientDID)
+      .map(([recipientDID]) => recipientDID)
+    return { total: keys.length, keys: keys.slice(offset, offset + limit) }
+  }
+
+  async getClientForRecipient(recipientDID) {
+    return this.keys.get(recipientDID) || null
+  }
+
+  async enqueue(clientDID, recipientDID, message) {
+    const record = {
+      id: crypto.randomUUID(),
+      clientDID,
+      recipientDID,
+      message,
+      queuedAt: new Date().toISOString()
+    }
+    this.queue.set(record.id, record)
+    return { ...record }
+  }
+
+  queued(clientDID, recipientDID) {
+    return Array.from(this.queue.values()).filter(
+      record =>
+        record.clientDID === clientDID && (!recipientDID || record.recipientDID === recipientDID)
+    )
+  }
+
+  async countQueued(clientDID, recipientDID) {
+    return this.queued(clientDID, recipientDID).length
+  }
+
+  /**
+   * Returns up to limit queued messages of a client, oldest first.
+   */
+  async getQueued(clientDID, { recipientDID, limit }) {
+    return this.queued(clientDID, recipientDID)
+      .slice(0, limit)
+      .map(record => ({ ...record }))
+  }
+
+  async removeQueued(clientDID, ids) {
+    for (const id of ids) {
+      if (this.queue.get(id)?.clientDID === clientDID) {
+        this.queue.delete(id)
+      }
+    }
+  }
+
+  /**
+   * Deletes queued messages older than the TTL and returns how many were removed.
+   */
+  async pruneExpired(now = Date.now()) {
+    let removed = 0
+    for (const [id, record] of this.queue) {
+      if (new Date(record.queuedAt).getTime() <= now - MEDIATOR_QUEUE_TTL_MS) {
+        this.queue.delete(id)
+        removed++
+      }
+    }
+    return removed
+  }
+
+  async close() {}
+}
+
+/**
+ * SQLite mediator store backed by sql.js (see sqlite-store.js).
+ */
+export class SqliteMediatorStore extends SqliteStore {
+  constructor({ file = MEDIATOR_STORE_FILE } = {}) {
+    super(file)
+  }
+
+  async init() {
+    await this.open(`
+      CREATE TABLE IF NOT EXISTS mediations (
+        client_did TEXT PRIMARY KEY,
+        routing_did TEXT NOT NULL,
+        granted_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS keylist (
+        recipient_did TEXT PRIMARY KEY,
+        client_did TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS keylist_client_did ON keylist (client_did);
+      CREATE TABLE IF NOT EXISTS queue (
+        id TEXT PRIMARY KEY,
+        client_did TEXT NOT NULL,
+        recipient_did TEXT NOT NULL,
+        message TEXT NOT NULL,
+        queued_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS queue_client_did ON queue (client_did, recipient_did);
+    `)
+  }
+
+  async grantMediation(clientDID, routingDID) {
+    const mediation = { clientDID, routingDID, grantedAt: new Date().toISOString() }
+    this.db.run(
+      `INSERT OR REPLACE INTO mediations (client_did, routing_did, granted_at)
+       VALUES ($clientDID, $routingDID, $grantedAt)`,
+      { $clientDID: clientDID, $routingDID: routingDID, $grantedAt: mediation.grantedAt }
+    )
+    this.persist()
+    return mediation
+  }
+
+  async getMediation(clientDID) {
+    const [row] = this.all('SELECT * FROM mediations WHERE client_did = $clientDID', {
+      $clientDID: clientDID
+    })
+    return row
+      ? { clientDID: row.client_did, routingDID: row.routing_did, grantedAt: row.granted_at }
+      : null
+  }
+
+  async addKey(clientDID, recipientDID) {
+    const owner = await this.getClientForRecipient(recipientDID)
+    if (owner === clientDID) return 'no_change'
+    if (owner) return 'client_error'
+
+    this.db.run(
+      'INSERT INTO keylist (recipient_did, client_did) VALUES ($recipientDID, $clientDID)',
+      {
+        $recipientDID: recipientDID,
+        $clientDID: clientDID
+      }
+    )
+    this.persist()
+    return 'success'
+  }
+
+  async removeKey(clientDID, recipientDID) {
+    this.db.run(
+      'DELETE FROM keylist WHERE recipient_did = $recipientDID AND client_did = $clientDID',
+      {
+        $recipientDID: recipientDID,
+        $clientDID: clientDID
+      }
+    )
+    if (this.db.getRowsModified() === 0) return 'no_change'
+    this.persist()
+    return 'success'
+  }
+
+  /**
+   * Returns a page of a client's recipient DIDs, in the order they were added.
+   */
+  async queryKeys(clientDID, { limit, offset }) {
+    const params = { $clientDID: clientDID }
+    const [{ total }] = this.all(
+      'SELECT COUNT(*) AS total FROM keylist WHERE client_did = $clientDID',
+      params
+    )
+    const rows = this.all(
+      'SELECT recipient_did FROM keylist WHERE client_did = $clientDID ORDER BY rowid LIMIT $limit OFFSET $offset',
+      { ...params, $limit: limit, $offset: offset }
+    )
+    return { total, keys: rows.map(row => row.recipient_did) }
+  }
+
+  async getClientForRecipient(recipientDID) {
+    const [row] = this.all('SELECT client_did FROM keylist WHERE recipient_did = $recipientDID', {
+      $recipientDID: recipientDID
+    })
+    return row ? row.client_did : null
+  }
+
+  async enqueue(clientDID, recipientDID, message) {
+    const record = {
+      id: crypto.randomUUID(),
+      clientDID,
+      recipientDID,
+      message,
+      queuedAt: new Date().toISOString()
+    }
+    this.db.run(
+      `INSERT INTO queue (id, client_did, recipient_did, message, queued_at)
+       VALUES ($id, $clientDID, $recipientDID, $message, $queuedAt)`,
+      {
+        $id: record.id,
+        $clientDID: clientDID,
+        $recipientDID: recipientDID,
+        $message: message,
+        $queuedAt: record.queuedAt
+      }
+    )
+    this.persist()
+    return record
+  }
+
+  async countQueued(clientDID, recipientDID) {
+    const [{ total }] = this.all(
+      `SELECT COUNT(*) AS total FROM queue
+       WHERE client_did = $clientDID AND ($recipientDID IS NULL OR recipient_did = $recipientDID)`,
+      { $clientDID: clientDID, $recipientDID: recipientDID ?? null }
+    )
+    return total
+  }
+
+  /**
+   * Returns up to limit queued messages of a client, oldest first.
+   */
+  async getQueued(clientDID, { recipientDID, limit }) {
+    return this.all(
+      `SELECT * FROM queue
+       WHERE client_did = $clientDID AND ($recipientDID IS NULL OR recipient_did = $recipientDID)
+       ORDER BY rowid LIMIT $limit`,
+      { $clientDID: clientDID, $recipientDID: recipientDID ?? null, $limit: limit }
+    ).map(row => ({
+      id: row.id,
+      clientDID: row.client_did,
+      recipientDID: row.recipient_did,
+      message: row.message,
+      queuedAt: row.queued_at
+    }))
+  }
+
+  async removeQueued(clientDID, ids) {
+    for (const id of ids) {
+      this.db.run('DELETE FROM queue WHERE id = $id AND client_did = $clientDID', {
+        $id: id,
+        $clientDID: clientDID
+      })
+    }
+    this.persist()
+  }
+
+  /**
+   * Deletes queued messages older than the TTL and returns how many were removed.
+   */
+  async pruneExpired(now = Date.now()) {
+    // queued_at is an ISO timestamp, so they compare as strings
+    this.db.run('DELETE FROM queue WHERE queued_at <= $cutoff', {
+      $cutoff: new Date(now - MEDIATOR_QUEUE_TTL_MS).toISOString()
+    })
+    const removed = this.db.getRowsModified()
+    if (removed > 0) {
+      this.persist()
+    }
+    return removed
+  }
+}
+
+/**
+ * Creates and initializes the mediator store selected by MEDIATOR_STORE, and starts
+ * dropping queued messages past the TTL.
+ */
+export async function createMediatorStore(type = process.env.MEDIATOR_STORE || 'sqlite') {
+  let store
+  if (type === 'memory') {
+    store = new MemoryMediatorStore()
+  } else if (type === 'sqlite') {
+    store = new SqliteMediatorStore()
+  } else {
+    throw new Error(`Unknown MEDIATOR_STORE: ${type}`)
+  }
+
+  await store.init()
+
+  const prune = async () => {
+    try {
+      const removed = await store.pruneExpired()
+      if (removed > 0) {
+        console.log(`Dropped ${removed} queued messages nobody picked up`)
+      }
+    } catch (error) {
+      console.error('Failed to prune mediator queue:', error)
+    }
+  }
+  await prune()
+  setInterval(prune, PRUNE_INTERVAL_MS).unref()
+
+  console.log(`Mediator store: ${type}${type === 'sqlite' ? ` (${store.file})` : ''}`)
+  return store
+}
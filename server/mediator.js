@@ -0,0 +1,219 @@
+// The server as a DIDComm mediator (Coordinate Mediation 3.0, Routing 2.0, Message Pickup 3.0)
+//
+// With MEDIATOR_ENABLED=true the server grants mediation to wallets that ask for it, with its
+// own DID as the routing DID. Wallets register their connection DIDs in a keylist; forward
+// messages for those DIDs are queued and the wallets retrieve them with Message Pickup over
+// HTTP. Mediations, keylists and queues live in the mediator store (mediator-store.js).
+// Each recipient's queue holds at most MEDIATOR_MAX_QUEUED_MESSAGES messages, and messages
+// nobody picks up are dropped after MEDIATOR_QUEUE_TTL_SECONDS (see mediator-store.js).
+
+export const MEDIATOR_ENABLED = process.env.MEDIATOR_ENABLED === 'true'
+
+export const COORDINATE_MEDIATION_PROTOCOL = 'https://didcomm.org/coordinate-mediation/3.0'
+export const ROUTING_PROTOCOL = 'https://didcomm.org/routing/2.0'
+export const PICKUP_PROTOCOL = 'https://didcomm.org/messagepickup/3.0'
+
+// Keylist page size when keylist-query doesn't ask for one, and the largest allowed
+const DEFAULT_KEYLIST_PAGE_SIZE = 100
+const MAX_KEYLIST_PAGE_SIZE = 1000
+
+// Most messages returned by one delivery-request
+const MAX_DELIVERY_LIMIT = 100
+
+// Most messages waiting for one recipient DID
+const MAX_QUEUED_MESSAGES = Number(process.env.MEDIATOR_MAX_QUEUED_MESSAGES) || 100
+
+/**
+ * Queues a packed message for a recipient DID registered with this mediator.
+ * Returns 'queued', 'unregistered' if no client has registered the DID, or 'full' if the
+ * recipient's queue already holds MAX_QUEUED_MESSAGES.
+ */
+export async function queueForRecipient(store, recipientDID, packedMessage) {
+  const clientDID = await store.getClientForRecipient(recipientDID)
+  if (!clientDID) return 'unregistered'
+
+  if ((await store.countQueued(clientDID, recipientDID)) >= MAX_QUEUED_MESSAGES) {
+    console.warn(`Queue for ${recipientDID} is full (client ${clientDID})`)
+    return 'full'
+  }
+
+  await store.enqueue(clientDID, recipientDID, packedMessage)
+  console.log(`Queued message for ${recipientDID} (client ${clientDID})`)
+  return 'queued'
+}
+
+/**
+ * Returns a problem-report if the sender was not granted mediation, else null.
+ */
+async function requireMediation(message, context) {
+  const mediation = await context.mediatorStore.getMediation(message.from)
+  return mediation
+    ? null
+    : context.problemReport('e.p.req.not-mediated', 'Mediation has not been granted to {1}', [
+        message.from
+      ])
+}
+
+// Coordinate Mediation 3.0
+
+async function handleMediateRequest(message, context) {
+  console.log('Granting mediation to:', message.from)
+
+  const mediation = await context.mediatorStore.grantMediation(message.from, context.serverDID)
+  return context.reply(`${COORDINATE_MEDIATION_PROTOCOL}/mediate-grant`, {
+    routing_did: mediation.routingDID
+  })
+}
+
+async function handleKeylistUpdate(message, context) {
+  const notMediated = await requireMediation(message, context)
+  if (notMediated) return notMediated
+
+  const updated = []
+  for (const { recipient_did: recipientDID, action } of message.body?.updates || []) {
+    let result = 'client_error'
+    if (typeof recipientDID === 'string' && recipientDID.startsWith('did:')) {
+      if (action === 'add') {
+        result = await context.mediatorStore.addKey(message.from, recipientDID)
+      } else if (action === 'remove') {
+        result = await context.mediatorStore.removeKey(message.from, recipientDID)
+      }
+    }
+    updated.push({ recipient_did: recipientDID, action, result })
+  }
+
+  console.log('Keylist updated:', updated)
+  return context.reply(`${COORDINATE_MEDIATION_PROTOCOL}/keylist-update-response`, { updated })
+}
+
+async function handleKeylistQuery(message, context) {
+  const notMediated = await requireMediation(message, context)
+  if (notMediated) return notMediated
+
+  const limit = Math.min(
+    Number.parseInt(message.body?.paginate?.limit, 10) || DEFAULT_KEYLIST_PAGE_SIZE,
+    MAX_KEYLIST_PAGE_SIZE
+  )
+  const offset = Math.max(Number.parseInt(message.body?.paginate?.offset, 10) || 0, 0)
+  const { total, keys } = await context.mediatorStore.queryKeys(message.from, { limit, offset })
+
+  return context.reply(`${COORDINATE_MEDIATION_PROTOCOL}/keylist`, {
+    keys: keys.map(recipientDID => ({ recipient_did: recipientDID })),
+    pagination: {
+      count: keys.length,
+      offset,
+      remaining: Math.max(total - offset - keys.length, 0)
+    }
+  })
+}
+
+export const coordinateMediationHandlers = {
+  'mediate-request': handleMediateRequest,
+  'keylist-update': handleKeylistUpdate,
+  'keylist-query': handleKeylistQuery
+}
+
+// Routing 2.0
+
+// Queue the attached message for the next recipient
+// Forwards are usually anoncrypted, so a problem-report goes back in the HTTP response.
+async function handleForward(message, context) {
+  const next = message.body?.next
+  const data = message.attachments?.[0]?.data
+
+  const packedMessage = data?.json
+    ? JSON.stringify(data.json)
+    : data?.base64 && Buffer.from(data.base64, 'base64').toString('utf8')
+
+  if (!next || !packedMessage) {
+    return context.problemReport(
+      'e.p.msg.invalid',
+      'Forward needs body.next and an attached message'
+    )
+  }
+
+  const result = await queueForRecipient(context.mediatorStore, next, packedMessage)
+  if (result === 'unregistered') {
+    console.warn('Dropping forward for unregistered recipient:', next)
+    return context.problemReport('e.p.msg.unknown-recipient', 'No mediation for recipient {1}', [
+      next
+    ])
+  }
+  if (result === 'full') {
+    return context.problemReport('e.p.msg.queue-full', 'Too many messages queued for {1}', [next])
+  }
+
+  return null
+}
+
+export const routingHandlers = {
+  forward: handleForward
+}
+
+// Message Pickup 3.0
+
+async function statusReply(message, context) {
+  const recipientDID = message.body?.recipient_did
+  return context.reply(`${PICKUP_PROTOCOL}/status`, {
+    ...(recipientDID && { recipient_did: recipientDID }),
+    message_count: await context.mediatorStore.countQueued(message.from, recipientDID),
+    live_delivery: false
+  })
+}
+
+async function handleStatusRequest(message, context) {
+  return (await requireMediation(message, context)) || statusReply(message, context)
+}
+
+async function handleDeliveryRequest(message, context) {
+  const notMediated = await requireMediation(message, context)
+  if (notMediated) return notMediated
+
+  const recipientDID = message.body?.recipient_did
+  const limit = Math.min(Number.parseInt(message.body?.limit, 10) || 1, MAX_DELIVERY_LIMIT)
+  const queued = await context.mediatorStore.getQueued(message.from, { recipientDID, limit })
+
+  // With nothing queued the answer is a status
+  if (queued.length === 0) {
+    return statusReply(message, context)
+  }
+
+  return {
+    ...context.reply(`${PICKUP_PROTOCOL}/delivery`, {
+      ...(recipientDID && { recipient_did: recipientDID })
+    }),
+    attachments: queued.map(record => ({
+      id: record.id,
+      media_type: 'application/didcomm-encrypted+json',
+      data: {
+        base64: Buffer.from(record.message).toString('base64')
+      }
+    }))
+  }
+}
+
+async function handleMessagesReceived(message, context) {
+  const notMediated = await requireMediation(message, context)
+  if (notMediated) return notMediated
+
+  const ids = message.body?.message_id_list
+  if (Array.isArray(ids)) {
+    await context.mediatorStore.removeQueued(message.from, ids)
+  }
+  return statusReply(message, context)
+}
+
+// Messages can only be pushed on a WebSocket, which this server doesn't offer
+async function handleLiveDeliveryChange(message, context) {
+  return context.problemReport(
+    'e.m.live-mode-not-supported',
+    'Live delivery is not supported, use delivery-request'
+  )
+}
+
+export const pickupHandlers = {
+  'status-request': handleStatusRequest,
+  'delivery-request': handleDeliveryRequest,
+  'messages-received': handleMessagesReceived,
+  'live-delivery-change': handleLiveDeliveryChange
+}
@@ -0,0 +1,55 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { MEDIATOR_QUEUE_TTL_MS, MemoryMediatorStore } from './mediator-store.js'
+
+// A small queue, set before the module reads it
+process.env.MEDIATOR_MAX_QUEUED_MESSAGES = '2'
+const { queueForRecipient } = await import('./mediator.js')
+
+const CLIENT = 'did:example:wallet'
+
+async function createStore() {
+  const store = new MemoryMediatorStore()
+  await store.grantMediation(CLIENT, 'did:example:mediator')
+  await store.addKey(CLIENT, 'did:example:a')
+  await store.addKey(CLIENT, 'did:example:b')
+  return store
+}
+
+test('queues messages for registered recipients only', async t => {
+  t.mock.method(console, 'log', () => {})
+  const store = await createStore()
+
+  assert.equal(await queueForRecipient(store, 'did:example:a', '{}'), 'queued')
+  assert.equal(await queueForRecipient(store, 'did:example:unknown', '{}'), 'unregistered')
+  assert.equal(await store.countQueued(CLIENT), 1)
+})
+
+test('refuses messages once a recipient queue is full', async t => {
+  t.mock.method(console, 'log', () => {})
+  t.mock.method(console, 'warn', () => {})
+  const store = await createStore()
+
+  assert.equal(await queueForRecipient(store, 'did:example:a', '1'), 'queued')
+  assert.equal(await queueForRecipient(store, 'did:example:a', '2'), 'queued')
+  assert.equal(await queueForRecipient(store, 'did:example:a', '3'), 'full')
+  assert.equal(await queueForRecipient(store, 'did:example:b', '4'), 'queued')
+
+  const queued = await store.getQueued(CLIENT, { recipientDID: 'did:example:a', limit: 10 })
+  assert.deepEqual(queued.map(record => record.message), ['1', '2'])
+})
+
+test('drops queued messages older than the TTL', async () => {
+  const store = await createStore()
+  const old = await store.enqueue(CLIENT, 'did:example:a', 'old')
+  const queuedAt = new Date(old.queuedAt).getTime()
+
+  assert.equal(await store.pruneExpired(queuedAt + MEDIATOR_QUEUE_TTL_MS - 1), 0)
+
+  await store.enqueue(CLIENT, 'did:example:b', 'new')
+  store.queue.get(old.id).queuedAt = new Date(Date.now() - MEDIATOR_QUEUE_TTL_MS).toISOString()
+
+  assert.equal(await store.pruneExpired(), 1)
+  const queued = await store.getQueued(CLIENT, { limit: 10 })
+  assert.deepEqual(queued.map(record => record.message), ['new'])
+})
@@ -0,0 +1,301 @@
+// Storage for received DIDComm messages
+//
+// Two implementations share one async interface:
+// - SqliteMessageStore keeps messages in an sql.js database saved to MESSAGE_STORE_FILE
+// - MemoryMessageStore keeps them in a Map (for tests and throwaway runs)
+// MESSAGE_STORE selects one ('sqlite' by default, or 'memory').
+// Messages are identified by their sender and id, so one sender can't overwrite another's
+// message by reusing its id.
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { SqliteStore } from './sqlite-store.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const MESSAGE_STORE_FILE =
+  process.env.MESSAGE_STORE_FILE || path.join(__dirname, 'messages.sqlite')
+
+// How long messages are kept before pruning (default 7 days)
+export const MESSAGE_RETENTION_MS =
+  (Number(process.env.MESSAGE_RETENTION_SECONDS) || 7 * 24 * 60 * 60) * 1000
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000
+
+export const DEFAULT_PAGE_SIZE = 50
+export const MAX_PAGE_SIZE = 200
+
+/**
+ * Clamps limit/offset query values to a valid page.
+ */
+export function toPage({ limit, offset } = {}) {
+  const parsedLimit = Number.parseInt(limit, 10)
+  const parsedOffset = Number.parseInt(offset, 10)
+  return {
+    limit: parsedLimit > 0 ? Math.min(parsedLimit, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+    offset: parsedOffset > 0 ? parsedOffset : 0
+  }
+}
+
+// Map key of a message; anonymous messages share the null sender
+const messageKey = (id, from) => JSON.stringify([from ?? null, id])
+
+/**
+ * In-memory message store. Messages are lost on restart.
+ */
+export class MemoryMessageStore {
+  constructor({ retentionMs = MESSAGE_RETENTION_MS } = {}) {
+    this.retentionMs = retentionMs
+    this.messages = new Map()
+  }
+
+  async init() {}
+
+  async saveMessage(record) {
+    this.messages.set(messageKey(record.id, record.from), { ...record })
+    return record
+  }
+
+  async updateMessage(id, from, updates) {
+    const record = this.messages.get(messageKey(id, from))
+    if (!record) return null
+    Object.assign(record, updates)
+    return { ...record }
+  }
+
+  async getMessage(id, from) {
+    const record = this.messages.get(messageKey(id, from))
+    return record ? { ...record } : null
+  }
+
+  /**
+   * Returns a page of messages, oldest first, filtered by thid, from and/or sessionToken.
+   */
+  async queryMessages({ thid, from, sessionToken, ...page } = {}) {
+    const { limit, offset } = toPage(page)
+    const matching = Array.from(this.messages.values()).filter(
+      record =>
+        (!thid || record.thid === thid) &&
+        (!from || record.from === from) &&
+        (!sessionToken || record.sessionToken === sessionToken)
+    )
+
+    return {
+      total: matching.length,
+      limit,
+      offset,
+      messages: matching.slice(offset, offset + limit).map(record => ({ ...record }))
+    }
+  }
+
+  /**
+   * Returns every distinct sender DID.
+   */
+  async getSenders() {
+    const senders = new Set()
+    for (const record of this.messages.values()) {
+      if (record.from) senders.add(record.from)
+    }
+    return Array.from(senders)
+  }
+
+  /**
+   * Deletes messages older than the retention period and returns how many were removed.
+   */
+  async pruneExpired(now = Date.now()) {
+    let removed = 0
+    for (const [key, record] of this.messages) {
+      if (new Date(record.receivedAt).getTime() <= now - this.retentionMs) {
+        this.messages.delete(key)
+        removed++
+      }
+    }
+    return removed
+  }
+
+  async close() {}
+}
+
+// Filterable fields get their own columns; the full record is kept as JSON
+// Anonymous messages are stored with an empty from_did, as key columns can't be NULL
+const MESSAGES_TABLE = `
+  CREATE TABLE IF NOT EXISTS messages (
+    id TEXT NOT NULL,
+    type TEXT,
+    from_did TEXT NOT NULL,
+    thid TEXT,
+    session_token TEXT,
+    received_at INTEGER NOT NULL,
+    record TEXT NOT NULL,
+    PRIMARY KEY (from_did, id)
+  )
+`
+
+/**
+ * SQLite message store backed by sql.js (see sqlite-store.js).
+ */
+export class SqliteMessageStore extends SqliteStore {
+  constructor({ file = MESSAGE_STORE_FILE, retentionMs = MESSAGE_RETENTION_MS } = {}) {
+    super(file)
+    this.retentionMs = retentionMs
+  }
+
+  async init() {
+    await this.open(MESSAGES_TABLE)
+    this.migrate()
+    this.db.run(`
+      CREATE INDEX IF NOT EXISTS messages_thid ON messages (thid);
+      CREATE INDEX IF NOT EXISTS messages_from_did ON messages (from_did);
+      CREATE INDEX IF NOT EXISTS messages_session_token ON messages (session_token);
+      CREATE INDEX IF NOT EXISTS messages_received_at ON messages (received_at);
+    `)
+  }
+
+  /**
+   * Rebuilds a messages table from before messages were keyed by sender and id.
+   */
+  migrate() {
+    const keyColumns = this.all('PRAGMA table_info(messages)').filter(column => column.pk > 0)
+    if (keyColumns.length > 1) return
+
+    this.db.run(`
+      ALTER TABLE messages RENAME TO messages_by_id;
+      DROP INDEX IF EXISTS messages_thid;
+      DROP INDEX IF EXISTS messages_from_did;
+      DROP INDEX IF EXISTS messages_session_token;
+      DROP INDEX IF EXISTS messages_received_at;
+    `)
+    this.db.run(MESSAGES_TABLE)
+    this.db.run(`
+      INSERT INTO messages (id, type, from_did, thid, session_token, received_at, record)
+        SELECT id, type, COALESCE(from_did, ''), thid, session_token, received_at, record
+        FROM messages_by_id ORDER BY rowid;
+      DROP TABLE messages_by_id;
+    `)
+    this.flush()
+  }
+
+  async saveMessage(record) {
+    this.db.run(
+      `INSERT OR REPLACE INTO messages (id, type, from_did, thid, session_token, received_at, record)
+       VALUES ($id, $type, $from, $thid, $sessionToken, $receivedAt, $record)`,
+      {
+        $id: record.id,
+        $type: record.type ?? null,
+        $from: record.from ?? '',
+        $thid: record.thid ?? null,
+        $sessionToken: record.sessionToken ?? null,
+        $receivedAt: new Date(record.receivedAt).getTime(),
+        $record: JSON.stringify(record)
+      }
+    )
+    this.persist()
+    return record
+  }
+
+  async updateMessage(id, from, updates) {
+    const record = await this.getMessage(id, from)
+    if (!record) return null
+    return this.saveMessage({ ...record, ...updates })
+  }
+
+  async getMessage(id, from) {
+    const [row] = this.all('SELECT record FROM messages WHERE from_did = $from AND id = $id', {
+      $from: from ?? '',
+      $id: id
+    })
+    return row ? JSON.parse(row.record) : null
+  }
+
+  /**
+   * Returns a page of messages, oldest first, filtered by thid, from and/or sessionToken.
+   */
+  async queryMessages({ thid, from, sessionToken, ...page } = {}) {
+    const { limit, offset } = toPage(page)
+    const conditions = []
+    const params = {}
+
+    if (thid) {
+      conditions.push('thid = $thid')
+      params.$thid = thid
+    }
+    if (from) {
+      conditions.push('from_did = $from')
+      params.$from = from
+    }
+    if (sessionToken) {
+      conditions.push('session_token = $sessionToken')
+      params.$sessionToken = sessionToken
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+    const [{ total }] = this.all(`SELECT COUNT(*) AS total FROM messages ${where}`, params)
+    const rows = this.all(
+      `SELECT record FROM messages ${where} ORDER BY received_at, rowid LIMIT $limit OFFSET $offset`,
+      { ...params, $limit: limit, $offset: offset }
+    )
+
+    return {
+      total,
+      limit,
+      offset,
+      messages: rows.map(row => JSON.parse(row.record))
+    }
+  }
+
+  /**
+   * Returns every distinct sender DID.
+   */
+  async getSenders() {
+    return this.all("SELECT DISTINCT from_did FROM messages WHERE from_did != ''").map(
+      row => row.from_did
+    )
+  }
+
+  /**
+   * Deletes messages older than the retention period and returns how many were removed.
+   */
+  async pruneExpired(now = Date.now()) {
+    this.db.run('DELETE FROM messages WHERE received_at <= $cutoff', {
+      $cutoff: now - this.retentionMs
+    })
+    const removed = this.db.getRowsModified()
+    if (removed > 0) {
+      this.persist()
+    }
+    return removed
+  }
+}
+
+/**
+ * Creates and initializes the message store selected by MESSAGE_STORE, and starts
+ * pruning messages past the retention period.
+ */
+export async function createMessageStore(type = process.env.MESSAGE_STORE || 'sqlite') {
+  let store
+  if (type === 'memory') {
+    store = new MemoryMessageStore()
+  } else if (type === 'sqlite') {
+    store = new SqliteMessageStore()
+  } else {
+    throw new Error(`Unknown MESSAGE_STORE: ${type}`)
+  }
+
+  await store.init()
+
+  const prune = async () => {
+    try {
+      const removed = await store.pruneExpired()
+      if (removed > 0) {
+        console.log(`Pruned ${removed} messages past the retention period`)
+      }
+    } catch (error) {
+      console.error('Failed to prune messages:', error)
+    }
+  }
+  await prune()
+  setInterval(prune, PRUNE_INTERVAL_MS).unref()
+
+  console.log(`Message store: ${type}${type === 'sqlite' ? ` (${store.file})` : ''}`)
+  return store
+}
@@ -0,0 +1,413 @@
+// Outbound DIDComm delivery queue
+//
+// Messages the server sends to wallets are stored as pending and delivered in the background.
+// A failed attempt is retried with exponential backoff, starting at OUTBOUND_RETRY_SECONDS and
+// doubling up to OUTBOUND_MAX_RETRY_SECONDS. After OUTBOUND_MAX_ATTEMPTS failures, or a failure
+// that retrying can't fix, the message becomes a dead letter for an admin to retry or delete.
+// Every attempt is recorded on the message with its HTTP status, error and problem-report.
+//
+// Two store implementations share one async interface, like the message store:
+// - SqliteOutboundStore keeps messages in an sql.js database saved to OUTBOUND_STORE_FILE
+// - MemoryOutboundStore keeps them in a Map (for tests and throwaway runs)
+// OUTBOUND_STORE selects one ('sqlite' by default, or 'memory').
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import { SqliteStore } from './sqlite-store.js'
+import { toPage } from './message-store.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const OUTBOUND_STORE_FILE =
+  process.env.OUTBOUND_STORE_FILE || path.join(__dirname, 'outbound.sqlite')
+
+export const OUTBOUND_MAX_ATTEMPTS = Number(process.env.OUTBOUND_MAX_ATTEMPTS) || 8
+
+const RETRY_MS = (Number(process.env.OUTBOUND_RETRY_SECONDS) || 5) * 1000
+const MAX_RETRY_MS = (Number(process.env.OUTBOUND_MAX_RETRY_SECONDS) || 10 * 60) * 1000
+
+// Delivered messages are kept this long so their attempts can be inspected
+const DELIVERED_RETENTION_MS = 24 * 60 * 60 * 1000
+
+// How often the queue looks for messages due for another attempt
+const POLL_INTERVAL_MS = 1000
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000
+
+export const OUTBOUND_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  DEAD: 'dead'
+}
+
+/**
+ * Delay before the attempt after the given number of failed attempts.
+ */
+export function retryDelay(failedAttempts) {
+  return Math.min(RETRY_MS * 2 ** (failedAttempts - 1), MAX_RETRY_MS)
+}
+
+// Client errors mean the recipient rejected the message itself, so sending it again won't help
+function isPermanentFailure(error) {
+  return error.status >= 400 && error.status < 500 && ![408, 429].includes(error.status)
+}
+
+/**
+ * In-memory outbound store. Pending messages are lost on restart.
+ */
+export class MemoryOutboundStore {
+  constructor() {
+    this.records = new Map()
+  }
+
+  async init() {}
+
+  async saveRecord(record) {
+    this.records.set(record.id, structuredClone(record))
+    return record
+  }
+
+  async getRecord(id) {
+    const record = this.records.get(id)
+    return record ? structuredClone(record) : null
+  }
+
+  async deleteRecord(id) {
+    return this.records.delete(id)
+  }
+
+  /**
+   * Returns pending messages whose next attempt is due, oldest first.
+   */
+  async getDue(now = Date.now()) {
+    return Array.from(this.records.values())
+      .filter(record => record.status === OUTBOUND_STATUS.PENDING && record.nextAttemptAt <= now)
+      .map(record => structuredClone(record))
+  }
+
+  /**
+   * Returns a page of messages, oldest first, optionally with one status.
+   */
+  async queryRecords({ status, ...page } = {}) {
+    const { limit, offset } = toPage(page)
+    const matching = Array.from(this.records.values()).filter(
+      record => !status || record.status === status
+    )
+
+    return {
+      total: matching.length,
+      limit,
+      offset,
+      messages: matching.slice(offset, offset + limit).map(record => structuredClone(record))
+    }
+  }
+
+  /**
+   * Deletes messages delivered before the cutoff and returns how many were removed.
+   */
+  async pruneDelivered(cutoff) {
+    let removed = 0
+    for (const [id, record] of this.records) {
+      if (
+        record.status === OUTBOUND_STATUS.DELIVERED &&
+        new Date(record.deliveredAt).getTime() <= cutoff
+      ) {
+        this.records.delete(id)
+        removed++
+      }
+    }
+    return removed
+  }
+
+  async close() {}
+}
+
+/**
+ * SQLite outbound store backed by sql.js (see sqlite-store.js).
+ */
+export class SqliteOutboundStore extends SqliteStore {
+  constructor({ file = OUTBOUND_STORE_FILE } = {}) {
+    super(file)
+  }
+
+  async init() {
+    // Fields the queue selects on get their own columns; the full record is kept as JSON
+    await this.open(`
+      CREATE TABLE IF NOT EXISTS outbound (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        next_attempt_at INTEGER,
+        delivered_at INTEGER,
+        created_at INTEGER NOT NULL,
+        record TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS outbound_status ON outbound (status, next_attempt_at);
+    `)
+  }
+
+  async saveRecord(record) {
+    this.db.run(
+      `INSERT OR REPLACE INTO outbound (id, status, next_attempt_at, delivered_at, created_at, record)
+       VALUES ($id, $status, $nextAttemptAt, $deliveredAt, $createdAt, $record)`,
+      {
+        $id: record.id,
+        $status: record.status,
+        $nextAttemptAt: record.nextAttemptAt ?? null,
+        $deliveredAt: record.deliveredAt ? new Date(record.deliveredAt).getTime() : null,
+        $createdAt: new Date(record.createdAt).getTime(),
+        $record: JSON.stringify(record)
+      }
+    )
+    this.persist()
+    return record
+  }
+
+  async getRecord(id) {
+    const [row] = this.all('SELECT record FROM outbound WHERE id = $id', { $id: id })
+    return row ? JSON.parse(row.record) : null
+  }
+
+  async deleteRecord(id) {
+    this.db.run('DELETE FROM outbound WHERE id = $id', { $id: id })
+    const deleted = this.db.getRowsModified() > 0
+    if (deleted) {
+      this.persist()
+    }
+    return deleted
+  }
+
+  /**
+   * Returns pending messages whose next attempt is due, oldest first.
+   */
+  async getDue(now = Date.now()) {
+    return this.all(
+      `SELECT record FROM outbound WHERE status = $status AND next_attempt_at <= $now
+       ORDER BY created_at, rowid`,
+      { $status: OUTBOUND_STATUS.PENDING, $now: now }
+    ).map(row => JSON.parse(row.record))
+  }
+
+  /**
+   * Returns a page of messages, oldest first, optionally with one status.
+   */
+  async queryRecords({ status, ...page } = {}) {
+    const { limit, offset } = toPage(page)
+    const where = status ? 'WHERE status = $status' : ''
+    const params = status ? { $status: status } : {}
+
+    const [{ total }] = this.all(`SELECT COUNT(*) AS total FROM outbound ${where}`, params)
+    const rows = this.all(
+      `SELECT record FROM outbound ${where} ORDER BY created_at, rowid LIMIT $limit OFFSET $offset`,
+      { ...params, $limit: limit, $offset: offset }
+    )
+
+    return {
+      total,
+      limit,
+      offset,
+      messages: rows.map(row => JSON.parse(row.record))
+    }
+  }
+
+  /**
+   * Deletes messages delivered before the cutoff and returns how many were removed.
+   */
+  async pruneDelivered(cutoff) {
+    this.db.run('DELETE FROM outbound WHERE status = $status AND delivered_at <= $cutoff', {
+      $status: OUTBOUND_STATUS.DELIVERED,
+      $cutoff: cutoff
+    })
+    const removed = this.db.getRowsModified()
+    if (removed > 0) {
+      this.persist()
+    }
+    return removed
+  }
+}
+
+/**
+ * Delivers queued messages with deliver(message, recipientDID), which makes one attempt and
+ * throws on failure. A thrown error may carry the HTTP status and a parsed problem-report as
+ * error.status and error.problemReport.
+ */
+export class OutboundQueue {
+  constructor(store, deliver, { maxAttempts = OUTBOUND_MAX_ATTEMPTS } = {}) {
+    this.store = store
+    this.deliver = deliver
+    this.maxAttempts = maxAttempts
+    this.running = null
+    this.runAgain = false
+    this.timers = null
+  }
+
+  /**
+   * Stores a message for delivery and starts delivering it. Returns the queued record.
+   */
+  async enqueue(message, recipientDID) {
+    const record = {
+      id: crypto.randomUUID(),
+      messageId: message.id,
+      type: message.type,
+      recipientDID,
+      message,
+      status: OUTBOUND_STATUS.PENDING,
+      attempts: [],
+      failedAttempts: 0,
+      nextAttemptAt: Date.now(),
+      createdAt: new Date().toISOString()
+    }
+    await this.store.saveRecord(record)
+    console.log(`Queued ${message.type} for delivery (${record.id})`)
+
+    this.processDue()
+    return record
+  }
+
+  /**
+   * Attempts every message that is due. A call during a pass starts another pass after it.
+   */
+  processDue() {
+    if (this.running) {
+      this.runAgain = true
+      return this.running
+    }
+
+    this.running = (async () => {
+      try {
+        do {
+          this.runAgain = false
+          const due = await this.store.getDue()
+          await Promise.all(due.map(record => this.attempt(record)))
+        } while (this.runAgain)
+      } catch (error) {
+        console.error('Outbound delivery failed:', error)
+      } finally {
+        this.running = null
+      }
+    })()
+    return this.running
+  }
+
+  async attempt(record) {
+    const attempt = { at: new Date().toISOString() }
+
+    try {
+      const result = await this.deliver(record.message, record.recipientDID)
+      Object.assign(attempt, {
+        status: 'delivered',
+        ...(result?.httpStatus && { httpStatus: result.httpStatus }),
+        ...(result?.problemReport && { problemReport: result.problemReport })
+      })
+      Object.assign(record, {
+        status: OUTBOUND_STATUS.DELIVERED,
+        nextAttemptAt: null,
+        deliveredAt: attempt.at
+      })
+      console.log(`Delivered ${record.type} to ${record.recipientDID}`)
+    } catch (error) {
+      Object.assign(attempt, {
+        status: 'failed',
+        error: error.message,
+        ...(error.status && { httpStatus: error.status }),
+        ...(error.problemReport && { problemReport: error.problemReport })
+      })
+      record.failedAttempts++
+
+      if (isPermanentFailure(error) || record.failedAttempts >= this.maxAttempts) {
+        Object.assign(record, {
+          status: OUTBOUND_STATUS.DEAD,
+          nextAttemptAt: null,
+          deadAt: attempt.at
+        })
+        console.error(
+          `Gave up delivering ${record.type} to ${record.recipientDID} after ${record.failedAttempts} attempts:`,
+          error.message
+        )
+      } else {
+        const delay = retryDelay(record.failedAttempts)
+        record.nextAttemptAt = Date.now() + delay
+        console.warn(
+          `Delivery of ${record.type} failed (attempt ${record.failedAttempts}), retrying in ${delay / 1000}s:`,
+          error.message
+        )
+      }
+    }
+
+    record.attempts.push(attempt)
+    await this.store.saveRecord(record)
+  }
+
+  /**
+   * Moves a dead letter back to pending with a fresh set of attempts. Returns null if there is
+   * no dead letter with the id.
+   */
+  async retry(id) {
+    const record = await this.store.getRecord(id)
+    if (!record || record.status !== OUTBOUND_STATUS.DEAD) return null
+
+    Object.assign(record, {
+      status: OUTBOUND_STATUS.PENDING,
+      failedAttempts: 0,
+      nextAttemptAt: Date.now(),
+      deadAt: null
+    })
+    await this.store.saveRecord(record)
+
+    this.processDue()
+    return record
+  }
+
+  /**
+   * Deletes a dead letter. Returns false if there is no dead letter with the id.
+   */
+  async discard(id) {
+    const record = await this.store.getRecord(id)
+    if (!record || record.status !== OUTBOUND_STATUS.DEAD) return false
+    return this.store.deleteRecord(id)
+  }
+
+  /**
+   * Attempts messages left pending by a previous run, then keeps attempting them as they come
+   * due and prunes old deliveries.
+   */
+  start() {
+    if (this.timers) return
+
+    const prune = async () => {
+      try {
+        const removed = await this.store.pruneDelivered(Date.now() - DELIVERED_RETENTION_MS)
+        if (removed > 0) {
+          console.log(`Pruned ${removed} delivered outbound messages`)
+        }
+      } catch (error) {
+        console.error('Failed to prune outbound messages:', error)
+      }
+    }
+
+    this.processDue()
+    prune()
+    this.timers = [
+      setInterval(() => this.processDue(), POLL_INTERVAL_MS).unref(),
+      setInterval(prune, PRUNE_INTERVAL_MS).unref()
+    ]
+  }
+}
+
+/**
+ * Creates and initializes the outbound store selected by OUTBOUND_STORE.
+ */
+export async function createOutboundStore(type = process.env.OUTBOUND_STORE || 'sqlite') {
+  let store
+  if (type === 'memory') {
+    store = new MemoryOutboundStore()
+  } else if (type === 'sqlite') {
+    store = new SqliteOutboundStore()
+  } else {
+    throw new Error(`Unknown OUTBOUND_STORE: ${type}`)
+  }
+
+  await store.init()
+
+  console.log(`Outbound store: ${type}${type === 'sqlite' ? ` (${store.file})` : ''}`)
+  return store
+}
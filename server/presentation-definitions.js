@@ -0,0 +1,73 @@
+// Presentation definitions (DIF Presentation Exchange v2) the website can require at login
+//
+// A login invitation can name one of these, or LOGIN_PRESENTATION requires one for every login
+// (invitations can't name another then).
+// Only credentials issued by the server DID or a DID in TRUSTED_CREDENTIAL_ISSUERS
+// (comma-separated) are accepted.
+
+export const PRESENTATION_DEFINITIONS = {
+  employee: {
+    id: 'employee',
+    name: 'Employee login',
+    purpose: 'Only employees can log in to this site',
+    input_descriptors: [
+      {
+        id: 'employee_credential',
+        name: 'Employee credential',
+        purpose: 'Shows you are an employee',
+        constraints: {
+          fields: [
+            {
+              path: ['$.type'],
+              filter: { type: 'array', contains: { const: 'EmployeeCredential' } }
+            },
+            {
+              path: ['$.credentialSubject.employeeId'],
+              filter: { type: 'string' }
+            }
+          ]
+        }
+      }
+    ]
+  },
+  'age-over-18': {
+    id: 'age-over-18',
+    name: 'Age check',
+    purpose: 'This site is restricted to adults',
+    input_descriptors: [
+      {
+        id: 'age_credential',
+        name: 'Age credential',
+        purpose: 'Shows you are over 18',
+        constraints: {
+          fields: [
+            {
+              path: ['$.type'],
+              filter: { type: 'array', contains: { const: 'AgeCredential' } }
+            },
+            {
+              path: ['$.credentialSubject.ageOver'],
+              filter: { type: 'number', minimum: 18 }
+            }
+          ]
+        }
+      }
+    ]
+  }
+}
+
+// Definition required for every login; invitations can't ask for another one
+export const DEFAULT_LOGIN_PRESENTATION = process.env.LOGIN_PRESENTATION || null
+
+// Issuers trusted besides the server DID
+export const TRUSTED_CREDENTIAL_ISSUERS = (process.env.TRUSTED_CREDENTIAL_ISSUERS || '')
+  .split(',')
+  .map(issuer => issuer.trim())
+  .filter(Boolean)
+
+if (
+  DEFAULT_LOGIN_PRESENTATION &&
+  !Object.hasOwn(PRESENTATION_DEFINITIONS, DEFAULT_LOGIN_PRESENTATION)
+) {
+  throw new Error(`Unknown LOGIN_PRESENTATION: ${DEFAULT_LOGIN_PRESENTATION}`)
+}
@@ -0,0 +1,55 @@
+// Matching of credentials against presentation definition input descriptors (DIF Presentation
+// Exchange)
+//
+// Shared by the server, which checks the credentials presented at login, and the wallet, which
+// lists the credentials it can present. It has no dependencies, so it runs in the browser too.
+
+/**
+ * Reads the values at a JSONPath like $.credentialSubject.role or $.type[0].
+ * Only plain member and index access is supported.
+ */
+function readPath(value, path) {
+  const steps = path.replace(/^\$/, '').match(/\.[^.[\]]+|\[\d+\]|\['[^']+'\]/g)
+
+  if (path !== '$' && !steps) return []
+
+  let current = value
+  for (const step of steps || []) {
+    const key = step.startsWith('.') ? step.slice(1) : step.slice(1, -1).replace(/^'|'$/g, '')
+    if (current === null || typeof current !== 'object' || !(key in current)) return []
+    current = current[key]
+  }
+  return [current]
+}
+
+/**
+ * Checks a value against the subset of JSON Schema used in presentation definition filters:
+ * type, const, enum, pattern, minimum, maximum and contains.
+ */
+function matchesFilter(value, filter = {}) {
+  if (filter.type) {
+    const type = Array.isArray(value) ? 'array' : Number.isInteger(value) ? 'integer' : typeof value
+    if (filter.type !== type && !(filter.type === 'number' && type === 'integer')) return false
+  }
+  if ('const' in filter && value !== filter.const) return false
+  if (filter.enum && !filter.enum.includes(value)) return false
+  if (filter.pattern && !new RegExp(filter.pattern).test(String(value))) return false
+  if (typeof filter.minimum === 'number' && !(value >= filter.minimum)) return false
+  if (typeof filter.maximum === 'number' && !(value <= filter.maximum)) return false
+  if (filter.contains) {
+    if (!Array.isArray(value) || !value.some(item => matchesFilter(item, filter.contains))) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Checks a credential against an input descriptor's constraints.
+ */
+export function credentialMatchesDescriptor(credential, descriptor) {
+  return (descriptor.constraints?.fields || []).every(field => {
+    const values = field.path.flatMap(path => readPath(credential, path))
+    return field.optional || values.some(value => matchesFilter(value, field.filter))
+  })
+}
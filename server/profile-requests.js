@@ -0,0 +1,125 @@
+// User profile exchange after login (User Profile 1.0, see Protocols/Login.md)
+//
+// Once a wallet has logged a browser session in, the website sends it a request-profile
+// naming the fields it would like. The wallet asks the user, and answers with a profile from
+// the persona they chose for the connection, which is kept in the browser session.
+import crypto from 'crypto'
+
+// Profile fields the website knows how to show
+const PROFILE_FIELDS = ['displayName', 'description', 'displayPicture']
+
+// Fields requested after every login; an empty PROFILE_REQUEST_FIELDS requests no profile
+export const PROFILE_REQUEST_FIELDS = (
+  process.env.PROFILE_REQUEST_FIELDS ?? 'displayName,description,displayPicture'
+)
+  .split(',')
+  .map(field => field.trim())
+  .filter(Boolean)
+
+for (const field of PROFILE_REQUEST_FIELDS) {
+  if (!PROFILE_FIELDS.includes(field)) {
+    throw new Error(`Unknown PROFILE_REQUEST_FIELDS field: ${field}`)
+  }
+}
+
+// How long the wallet's user has to answer a request
+const PROFILE_REQUEST_TTL_SECONDS = Number(process.env.PROFILE_REQUEST_TTL_SECONDS) || 600
+
+// Limits on what a wallet can store in a browser session
+const MAX_TEXT_LENGTH = 200
+export const MAX_PICTURE_BYTES = 256 * 1024
+const PICTURE_MEDIA_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']
+
+// Outstanding requests keyed by the request-profile message id, which is their thread id
+const pendingRequests = new Map()
+
+/**
+ * Drops expired requests.
+ */
+function pruneRequests(now = Date.now()) {
+  for (const [requestId, record] of pendingRequests) {
+    if (record.expiresAt <= now) {
+      pendingRequests.delete(requestId)
+    }
+  }
+}
+
+/**
+ * Builds a request-profile message for a logged in session and remembers it.
+ */
+export function createProfileRequest({ sessionId, walletDID, loginThreadId, serverDID }) {
+  pruneRequests()
+
+  const createdTime = Math.floor(Date.now() / 1000)
+  const request = {
+    type: 'https://didcomm.org/user-profile/1.0/request-profile',
+    id: crypto.randomUUID(),
+    pthid: loginThreadId,
+    from: serverDID,
+    to: [walletDID],
+    created_time: createdTime,
+    expires_time: createdTime + PROFILE_REQUEST_TTL_SECONDS,
+    body: {
+      query: PROFILE_REQUEST_FIELDS
+    }
+  }
+
+  pendingRequests.set(request.id, {
+    sessionId,
+    walletDID,
+    query: PROFILE_REQUEST_FIELDS,
+    expiresAt: request.expires_time * 1000
+  })
+
+  return request
+}
+
+/**
+ * Takes the request a profile answers. A request can be answered once.
+ * Returns { valid: true, sessionId, query } or { valid: false, reason } where reason is
+ * 'unknown' or 'expired'.
+ */
+export function consumeProfileRequest(requestId, from) {
+  const record = requestId ? pendingRequests.get(requestId) : null
+  if (!record || record.walletDID !== from) {
+    return { valid: false, reason: 'unknown' }
+  }
+
+  pendingRequests.delete(requestId)
+
+  if (record.expiresAt <= Date.now()) {
+    return { valid: false, reason: 'expired' }
+  }
+
+  return { valid: true, sessionId: record.sessionId, query: record.query }
+}
+
+/**
+ * Reads the requested fields of a profile message. displayPicture names an image attachment,
+ * which is returned as a data URL. Fields that are missing or unusable are left out.
+ */
+export function readProfile(message, query) {
+  const shared = message.body?.profile || {}
+  const profile = {}
+
+  for (const field of ['displayName', 'description']) {
+    if (query.includes(field) && typeof shared[field] === 'string' && shared[field].trim()) {
+      profile[field] = shared[field].trim().slice(0, MAX_TEXT_LENGTH)
+    }
+  }
+
+  if (query.includes('displayPicture') && shared.displayPicture) {
+    const attachment = (message.attachments || []).find(a => a.id === shared.displayPicture)
+    const picture = attachment?.data?.base64 ? Buffer.from(attachment.data.base64, 'base64') : null
+
+    if (
+      picture &&
+      picture.length <= MAX_PICTURE_BYTES &&
+      PICTURE_MEDIA_TYPES.includes(attachment.media_type)
+    ) {
+      profile.displayPicture = `data:${attachment.media_type};base64,${picture.toString('base64')}`
+    }
+  }
+
+  return profile
+}
@@ -0,0 +1,127 @@
+// Registry of DIDComm protocol handlers, keyed by protocol identifier URI (PIURI) and message name
+//
+// A message type such as https://didcomm.org/trust-ping/2.0/ping splits into the
+// PIURI https://didcomm.org/trust-ping/2.0 and the message name "ping".
+// Versions match as the DIDComm v2 spec describes: the major version must be equal,
+// and a message with another minor version is handled by the highest registered one.
+
+// doc URI, protocol name, major.minor version and message name of a message type
+const MESSAGE_TYPE_RE = /^(.*?)([a-z0-9._-]+)\/(\d+)\.(\d+)\/([a-z0-9._-]+)$/i
+
+/**
+ * Splits a message type URI into its parts, or returns null if it is not a valid message type.
+ */
+export function parseMessageType(type) {
+  const match = typeof type === 'string' ? MESSAGE_TYPE_RE.exec(type) : null
+  if (!match) return null
+
+  const [, docUri, protocolName, major, minor, messageName] = match
+  return {
+    docUri,
+    protocolName,
+    major: Number(major),
+    minor: Number(minor),
+    messageName,
+    piuri: `${docUri}${protocolName}/${major}.${minor}`
+  }
+}
+
+/**
+ * Parses a PIURI like https://didcomm.org/login/1.0.
+ */
+function parsePiuri(piuri) {
+  const parsed = parseMessageType(`${piuri}/_`)
+  if (!parsed) {
+    throw new Error(`Invalid protocol identifier URI: ${piuri}`)
+  }
+  return parsed
+}
+
+export class ProtocolRegistry {
+  constructor() {
+    // "docUri protocolName major" -> [{ minor, piuri, handlers, policy }]
+    this.protocols = new Map()
+  }
+
+  /**
+   * Registers the handlers of one protocol version.
+   * handlers maps message names to async (message, context) => response message or null.
+   * policy is the protocol's security policy (see security-policy.js).
+   */
+  register(piuri, handlers, policy = {}) {
+    const { docUri, protocolName, major, minor } = parsePiuri(piuri)
+    const key = `${docUri}${protocolName} ${major}`
+    const versions = this.protocols.get(key) || []
+
+    if (versions.some(version => version.minor === minor)) {
+      throw new Error(`Protocol ${piuri} is already registered`)
+    }
+
+    versions.push({ minor, piuri, handlers, policy })
+    this.protocols.set(key, versions)
+    return this
+  }
+
+  /**
+   * Finds the handler for a message type, or returns null if it is unsupported.
+   * The exact minor version is preferred, then the highest registered minor version.
+   */
+  resolve(type) {
+    const parsed = parseMessageType(type)
+    if (!parsed) return null
+
+    const versions = this.protocols.get(`${parsed.docUri}${parsed.protocolName} ${parsed.major}`)
+    if (!versions) return null
+
+    const version =
+      versions.find(candidate => candidate.minor === parsed.minor) ||
+      versions.reduce((highest, candidate) =>
+        candidate.minor > highest.minor ? candidate : highest
+      )
+
+    const handler = version.handlers[parsed.messageName]
+    return handler
+      ? { piuri: version.piuri, messageName: parsed.messageName, handler, policy: version.policy }
+      : null
+  }
+
+  /**
+   * Returns the security policy for a message type. Unsupported types get the default policy.
+   */
+  getPolicy(type) {
+    return this.resolve(type)?.policy || {}
+  }
+
+  /**
+   * Lists the registered PIURIs, e.g. for discover-features.
+   */
+  listProtocols() {
+    return Array.from(this.protocols.values()).flatMap(versions =>
+      versions.map(version => version.piuri)
+    )
+  }
+
+  /**
+   * Runs the handler for a message and returns its response message (or null).
+   * Unsupported messages are answered with an e.p.msg.unsupported problem-report,
+   * except problem-reports themselves, so two agents never report problems back and forth.
+   */
+  async dispatch(message, context) {
+    const resolved = this.resolve(message.type)
+
+    if (resolved) {
+      console.log(`Dispatching ${resolved.messageName} to ${resolved.piuri} handler`)
+      return resolved.handler(message, context)
+    }
+
+    console.log(`Unsupported message type: ${message.type}`)
+
+    if (parseMessageType(message.type)?.protocolName === 'report-problem') {
+      return null
+    }
+
+    return context.problemReport('e.p.msg.unsupported', 'Message type {1} is not supported', [
+      message.type
+    ])
+  }
+}
@@ -0,0 +1,105 @@
+// Replay and freshness checks for inbound DIDComm messages
+//
+// A message is rejected if its id was already seen from the same sender, if its
+// created_time is too old or in the future, or if its expires_time has passed.
+// The seen ids are kept in a bounded window per sender.
+
+// Tolerated difference between the sender's clock and ours
+const CLOCK_SKEW_SECONDS = Number(process.env.MESSAGE_CLOCK_SKEW_SECONDS) || 60
+
+// Oldest created_time accepted (on top of the clock skew)
+const MAX_MESSAGE_AGE_SECONDS = Number(process.env.MESSAGE_MAX_AGE_SECONDS) || 300
+
+// Seen message ids remembered per sender, and senders remembered in total
+const SEEN_IDS_PER_SENDER = Number(process.env.REPLAY_WINDOW_SIZE) || 1000
+const MAX_TRACKED_SENDERS = 10000
+
+// Sender DID (or 'anonymous') -> Set of message ids, oldest first
+const seenMessages = new Map()
+
+/**
+ * Returns the seen-id window of a sender, marking the sender as most recently active.
+ */
+function getSenderWindow(sender) {
+  let window = seenMessages.get(sender)
+
+  if (window) {
+    seenMessages.delete(sender)
+  } else {
+    window = new Set()
+    if (seenMessages.size >= MAX_TRACKED_SENDERS) {
+      // Forget the least recently active sender
+      seenMessages.delete(seenMessages.keys().next().value)
+    }
+  }
+
+  seenMessages.set(sender, window)
+  return window
+}
+
+/**
+ * Checks that a message is fresh and has not been seen before, and remembers its id.
+ * isKnownMessage(id, from) lets ids stored before a restart count as seen.
+ * Returns { valid: true } or { valid: false, reason, code, comment, args } where
+ * reason is one of 'duplicate', 'expired', 'stale' or 'future'.
+ */
+export async function checkMessageFreshness(message, isKnownMessage = async () => false) {
+  const now = Math.floor(Date.now() / 1000)
+
+  if (message.expires_time && message.expires_time + CLOCK_SKEW_SECONDS < now) {
+    return {
+      valid: false,
+      reason: 'expired',
+      code: 'e.p.req.expired',
+      comment: 'Message expired at {1}',
+      args: [String(message.expires_time)]
+    }
+  }
+
+  if (message.created_time) {
+    if (message.created_time > now + CLOCK_SKEW_SECONDS) {
+      return {
+        valid: false,
+        reason: 'future',
+        code: 'e.p.req.time',
+        comment: 'Message created_time {1} is in the future',
+        args: [String(message.created_time)]
+      }
+    }
+
+    if (message.created_time < now - MAX_MESSAGE_AGE_SECONDS - CLOCK_SKEW_SECONDS) {
+      return {
+        valid: false,
+        reason: 'stale',
+        code: 'e.p.req.time',
+        comment: 'Message created_time {1} is older than {2} seconds',
+        args: [String(message.created_time), String(MAX_MESSAGE_AGE_SECONDS)]
+      }
+    }
+  }
+
+  const window = getSenderWindow(message.from || 'anonymous')
+  const duplicate = {
+    valid: false,
+    reason: 'duplicate',
+    code: 'e.p.msg.duplicate',
+    comment: 'Message {1} has already been received',
+    args: [message.id]
+  }
+
+  if (window.has(message.id)) {
+    return duplicate
+  }
+
+  // Remember the id before any await, so concurrent copies of a message are caught too
+  window.add(message.id)
+  if (window.size > SEEN_IDS_PER_SENDER) {
+    window.delete(window.values().next().value)
+  }
+
+  if (await isKnownMessage(message.id, message.from)) {
+    return duplicate
+  }
+
+  return { valid: true }
+}
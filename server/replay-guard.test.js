@@ -0,0 +1,58 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+// A small window, set before the module reads it
+process.env.REPLAY_WINDOW_SIZE = '3'
+const { checkMessageFreshness } = await import('./replay-guard.js')
+
+const now = () => Math.floor(Date.now() / 1000)
+const message = (from, id, fields = {}) => ({ id, from, created_time: now(), ...fields })
+
+test('rejects a message id already seen from the same sender', async () => {
+  assert.deepEqual(await checkMessageFreshness(message('did:example:a', '1')), { valid: true })
+
+  const replay = await checkMessageFreshness(message('did:example:a', '1'))
+  assert.equal(replay.valid, false)
+  assert.equal(replay.reason, 'duplicate')
+})
+
+test('keeps a separate window per sender', async () => {
+  assert.equal((await checkMessageFreshness(message('did:example:b', '1'))).valid, true)
+  assert.equal((await checkMessageFreshness(message('did:example:c', '1'))).valid, true)
+})
+
+test('forgets the oldest ids once the window is full', async () => {
+  for (const id of ['1', '2', '3', '4']) {
+    assert.equal((await checkMessageFreshness(message('did:example:d', id))).valid, true)
+  }
+
+  assert.equal((await checkMessageFreshness(message('did:example:d', '4'))).reason, 'duplicate')
+  assert.equal((await checkMessageFreshness(message('did:example:d', '1'))).valid, true)
+})
+
+test('treats ids the message store knows as seen', async () => {
+  const known = async (id, from) => id === 'stored' && from === 'did:example:e'
+
+  const result = await checkMessageFreshness(message('did:example:e', 'stored'), known)
+  assert.equal(result.reason, 'duplicate')
+})
+
+test('rejects stale, future and expired messages', async () => {
+  const from = 'did:example:f'
+
+  const stale = await checkMessageFreshness(message(from, '1', { created_time: now() - 3600 }))
+  assert.equal(stale.reason, 'stale')
+
+  const future = await checkMessageFreshness(message(from, '2', { created_time: now() + 3600 }))
+  assert.equal(future.reason, 'future')
+
+  const expired = await checkMessageFreshness(message(from, '3', { expires_time: now() - 3600 }))
+  assert.equal(expired.reason, 'expired')
+})
+
+test('does not remember the ids of rejected messages', async () => {
+  const from = 'did:example:g'
+
+  await checkMessageFreshness(message(from, '1', { created_time: now() - 3600 }))
+  assert.equal((await checkMessageFreshness(message(from, '1'))).valid, true)
+})
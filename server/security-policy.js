@@ -0,0 +1,99 @@
+// Security policy checks for inbound DIDComm messages
+//
+// Every message must be encrypted and addressed to the server DID. Protocols can
+// require more: { authcrypt: true } rejects anoncrypted messages. Whenever a message
+// is authcrypted, the sender key (skid) must belong to the message's `from` DID, and
+// whenever it is signed, the signing key must be an authentication key of `from`.
+
+// Accept plaintext messages, for local development only
+export const ALLOW_PLAINTEXT_MESSAGES = process.env.ALLOW_PLAINTEXT_MESSAGES === 'true'
+
+if (ALLOW_PLAINTEXT_MESSAGES) {
+  console.warn('ALLOW_PLAINTEXT_MESSAGES is set, unencrypted DIDComm messages will be accepted')
+}
+
+/**
+ * Checks that a key ID is listed under a verification relationship (keyAgreement or
+ * authentication) of the given DID.
+ */
+async function keyBelongsTo(kid, from, resolveDID, relationship) {
+  const [kidDID, fragment] = kid.split('#')
+  const didDocument = from ? await resolveDID(from) : null
+  if (!didDocument || !fragment) return false
+
+  // A did:peer:4 can appear in long or short form
+  const names = [from, didDocument.id, ...(didDocument.alsoKnownAs || [])]
+  if (!names.includes(kidDID)) return false
+
+  return (didDocument[relationship] || []).some(ref => {
+    const [refDID, refFragment] = (typeof ref === 'string' ? ref : ref.id).split('#')
+    return refFragment === fragment && (!refDID || names.includes(refDID))
+  })
+}
+
+/**
+ * Checks an unpacked message and its unpack metadata against a protocol's policy.
+ * isServerDID(did) tells whether a DID is ours; resolveDID(did) returns a DID document.
+ * Returns { valid: true } or { valid: false, reason, code, comment, args } where reason is
+ * one of 'plaintext', 'not-authcrypted', 'sender-mismatch', 'signer-mismatch' or 'wrong-recipient'.
+ */
+export async function checkSecurityPolicy(message, metadata, policy, { isServerDID, resolveDID }) {
+  if (!metadata.encrypted) {
+    if (!ALLOW_PLAINTEXT_MESSAGES) {
+      return {
+        valid: false,
+        reason: 'plaintext',
+        code: 'e.p.trust.crypto',
+        comment: 'Plaintext messages are not accepted',
+        args: []
+      }
+    }
+    console.warn('Accepting plaintext message because ALLOW_PLAINTEXT_MESSAGES is set')
+  } else if (policy.authcrypt && !metadata.encrypted_from_kid) {
+    return {
+      valid: false,
+      reason: 'not-authcrypted',
+      code: 'e.p.trust.crypto',
+      comment: 'Messages of type {1} must be authcrypted',
+      args: [message.type]
+    }
+  }
+
+  if (
+    metadata.encrypted_from_kid &&
+    !(await keyBelongsTo(metadata.encrypted_from_kid, message.from, resolveDID, 'keyAgreement'))
+  ) {
+    return {
+      valid: false,
+      reason: 'sender-mismatch',
+      code: 'e.p.trust.crypto',
+      comment: 'Sender key {1} does not belong to {2}',
+      args: [metadata.encrypted_from_kid, String(message.from)]
+    }
+  }
+
+  if (
+    metadata.sign_from &&
+    !(await keyBelongsTo(metadata.sign_from, message.from, resolveDID, 'authentication'))
+  ) {
+    return {
+      valid: false,
+      reason: 'signer-mismatch',
+      code: 'e.p.trust.crypto',
+      comment: 'Signing key {1} is not an authentication key of {2}',
+      args: [metadata.sign_from, String(message.from)]
+    }
+  }
+
+  if (!Array.isArray(message.to) || !message.to.some(isServerDID)) {
+    return {
+      valid: false,
+      reason: 'wrong-recipient',
+      code: 'e.p.msg.wrong-recipient',
+      comment: 'Message is not addressed to this server',
+      args: []
+    }
+  }
+
+  return { valid: true }
+}
@@ -0,0 +1,81 @@
+// JWT session tokens issued to wallets after a successful session-login
+//
+// Tokens are signed with EdDSA by the server DID's key-1 (Ed25519) and carry:
+//   iss - the server DID
+//   sub - the wallet's connection DID
+//   iat, exp - issue and expiry times (seconds)
+//   jti - token id, stored on the browser session so a token stops working once its
+//         session ends or the token is refreshed
+// Verification resolves the issuer DID, so tokens signed before a DID rotation stay valid
+// for the rotation grace period.
+import { randomUUID } from 'crypto'
+import { SERVER_DID_DATA, didResolver, isServerDID } from './didcomm-handler.js'
+import { signJwt, decodeJwt, resolveVerificationKey, verifyJwtSignature } from './jwt.js'
+
+// Lifetime of an issued token
+export const SESSION_TOKEN_TTL_SECONDS = Number(process.env.SESSION_TOKEN_TTL_SECONDS) || 60 * 60
+
+// Tolerated difference between our clock and a token's timestamps
+const CLOCK_SKEW_SECONDS = 60
+
+/**
+ * Issues a session token for a wallet DID.
+ * Returns { token, claims } where claims.jti should be stored with the session.
+ */
+export function issueSessionToken(walletDID) {
+  const now = Math.floor(Date.now() / 1000)
+  const claims = {
+    iss: SERVER_DID_DATA.did,
+    sub: walletDID,
+    iat: now,
+    exp: now + SESSION_TOKEN_TTL_SECONDS,
+    jti: randomUUID()
+  }
+
+  const token = signJwt(
+    { kid: `${SERVER_DID_DATA.did}#key-1` },
+    claims,
+    SERVER_DID_DATA.privateKeys['key-1']
+  )
+
+  return { token, claims }
+}
+
+/**
+ * Checks a token's signature, issuer and lifetime.
+ * Returns { valid: true, claims } or { valid: false, reason } where reason is one of
+ * 'malformed', 'unknown-key', 'bad-signature', 'expired' or 'not-yet-valid'.
+ */
+export async function verifySessionToken(token) {
+  const decoded = decodeJwt(token)
+  const { header, claims } = decoded || {}
+
+  if (!decoded || typeof header.kid !== 'string' || !claims.sub || !claims.jti) {
+    return { valid: false, reason: 'malformed' }
+  }
+
+  // Only keys of our own DIDs (current or rotated out within the grace period) sign tokens
+  const publicKey =
+    isServerDID(header.kid.split('#')[0]) && isServerDID(claims.iss)
+      ? await resolveVerificationKey(header.kid, did => didResolver.resolve(did), [
+          'authentication'
+        ])
+      : null
+  if (!publicKey) {
+    return { valid: false, reason: 'unknown-key' }
+  }
+
+  if (!verifyJwtSignature(decoded, publicKey)) {
+    return { valid: false, reason: 'bad-signature' }
+  }
+
+  const now = Math.floor(Date.now() / 1000)
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    return { valid: false, reason: 'expired' }
+  }
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > now) {
+    return { valid: false, reason: 'not-yet-valid' }
+  }
+
+  return { valid: true, claims }
+}
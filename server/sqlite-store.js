@@ -0,0 +1,82 @@
+// Shared base for the sql.js stores (messages, outbound queue, mediator)
+//
+// The database lives in memory and is exported to its file a short while after a change, so a
+// burst of changes is written once. close() writes any pending changes straight away.
+import initSqlJs from 'sql.js'
+import fs from 'fs'
+
+// How long after a change the database is written to disk
+const PERSIST_DELAY_MS = 250
+
+export class SqliteStore {
+  constructor(file) {
+    this.file = file
+    this.db = null
+    this.persistTimer = null
+  }
+
+  /**
+   * Loads the database file, or creates an empty database, and applies the schema.
+   */
+  async open(schema) {
+    if (this.db) return
+
+    const SQL = await initSqlJs()
+    this.db = fs.existsSync(this.file)
+      ? new SQL.Database(fs.readFileSync(this.file))
+      : new SQL.Database()
+
+    this.db.run(schema)
+    this.flush()
+  }
+
+  /**
+   * Schedules a write of the database, unless one is already scheduled.
+   */
+  persist() {
+    if (this.persistTimer) return
+
+    this.persistTimer = setTimeout(() => {
+      try {
+        this.flush()
+      } catch (error) {
+        console.error(`Failed to write ${this.file}:`, error)
+      }
+    }, PERSIST_DELAY_MS)
+    this.persistTimer.unref()
+  }
+
+  /**
+   * Writes the database to disk now.
+   */
+  flush() {
+    clearTimeout(this.persistTimer)
+    this.persistTimer = null
+    fs.writeFileSync(this.file, Buffer.from(this.db.export()), { mode: 0o600 })
+  }
+
+  /**
+   * Runs a query and returns every row as an object.
+   */
+  all(sql, params = {}) {
+    const statement = this.db.prepare(sql)
+    try {
+      statement.bind(params)
+      const rows = []
+      while (statement.step()) {
+        rows.push(statement.getAsObject())
+      }
+      return rows
+    } finally {
+      statement.free()
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      this.flush()
+      this.db.close()
+      this.db = null
+    }
+  }
+}
@@ -0,0 +1,143 @@
+// Key management for the DIDs the browser creates
+//
+// Every DID gets an Ed25519 authentication key (key-1) and an X25519 key agreement key (key-2).
+// The X25519 key is generated on its own, or derived from the Ed25519 key when one key pair
+// should serve both purposes. Private keys are stored as { id, type, publicKeyMultibase,
+// privateKeyBytes } records and turned into didcomm secrets with toDIDCommSecret.
+import * as ed from '@noble/ed25519'
+import { sha512 } from '@noble/hashes/sha2.js'
+import { generateKeyPair, generateKeyPairFromSeed } from '@stablelib/x25519'
+import bs58 from 'bs58'
+import * as peer4 from './peer4'
+import {
+  toMultikeyEd25519,
+  toMultikeyX25519,
+  toMultikeyEd25519Private,
+  toMultikeyX25519Private
+} from './multiformats'
+
+type KeyPair = { privateKey: Uint8Array; publicKey: Uint8Array }
+
+export type DIDServiceOptions = {
+  // HTTP endpoint or mediator DID messages to this DID are delivered to
+  endpoint: string
+  // Keys (or DIDs) of the mediators that forward messages to this DID
+  routingKeys?: string[]
+}
+
+// Generate an Ed25519 key pair for signing
+export async function generateEd25519KeyPair(): Promise<KeyPair> {
+  const privateKey = ed.utils.randomPrivateKey()
+  const publicKey = await ed.getPublicKeyAsync(privateKey)
+  return { privateKey, publicKey }
+}
+
+// Generate an X25519 key pair for key agreement (encryption)
+export function generateX25519KeyPair(): KeyPair {
+  const { secretKey, publicKey } = generateKeyPair()
+  return { privateKey: secretKey, publicKey }
+}
+
+// Derive the X25519 key pair of an Ed25519 key pair, as libsodium does
+// The X25519 private key is the clamped scalar the Ed25519 private key hashes to, so its public
+// key is the Montgomery form of the Ed25519 public key
+export function deriveX25519KeyPair(ed25519KeyPair: KeyPair): KeyPair {
+  const { secretKey, publicKey } = generateKeyPairFromSeed(
+    sha512(ed25519KeyPair.privateKey).slice(0, 32)
+  )
+  return { privateKey: secretKey, publicKey }
+}
+
+// did:peer:4 input document for an authentication key, a key agreement key and a
+// DIDCommMessaging service
+export function createPeer4Template(
+  authentication: Uint8Array,
+  keyAgreement: Uint8Array,
+  service: DIDServiceOptions
+): any {
+  return {
+    verificationMethod: [
+      {
+        id: '#key-1',
+        type: 'Multikey',
+        publicKeyMultibase: toMultikeyEd25519(authentication)
+      },
+      {
+        id: '#key-2',
+        type: 'Multikey',
+        publicKeyMultibase: toMultikeyX25519(keyAgreement)
+      }
+    ],
+    authentication: ['#key-1'],
+    keyAgreement: ['#key-2'],
+    service: [
+      {
+        id: '#didcomm',
+        type: 'DIDCommMessaging',
+        serviceEndpoint: service.endpoint,
+        accept: ['didcomm/v2'],
+        routingKeys: service.routingKeys || []
+      }
+    ]
+  }
+}
+
+// Create a did:peer:4 with fresh keys
+// With deriveKeyAgreement the X25519 key is derived from the Ed25519 key instead of generated
+export async function createPeer4DID(
+  service: DIDServiceOptions,
+  { deriveKeyAgreement = false }: { deriveKeyAgreement?: boolean } = {}
+) {
+  const authKeys = await generateEd25519KeyPair()
+  const encKeys = deriveKeyAgreement ? deriveX25519KeyPair(authKeys) : generateX25519KeyPair()
+
+  const inputDocument = createPeer4Template(authKeys.publicKey, encKeys.publicKey, service)
+  const longFormDid = await peer4.encode(inputDocument)
+  const resolvedDocument = await peer4.resolve(longFormDid)
+
+  const privateKeys = {
+    'key-1': {
+      id: '#key-1',
+      type: 'Multikey',
+      publicKeyMultibase: toMultikeyEd25519(authKeys.publicKey),
+      privateKeyBytes: Array.from(authKeys.privateKey),
+      publicKeyBytes: Array.from(authKeys.publicKey)
+    },
+    'key-2': {
+      id: '#key-2',
+      type: 'Multikey',
+      publicKeyMultibase: toMultikeyX25519(encKeys.publicKey),
+      privateKeyBytes: Array.from(encKeys.privateKey)
+    }
+  }
+
+  return {
+    did: longFormDid,
+    didDocument: resolvedDocument,
+    privateKeys,
+    createdAt: new Date().toISOString()
+  }
+}
+
+// Convert a stored private key record of a DID into a secret in the format didcomm expects
+export function toDIDCommSecret(did: string, keyData: any): any {
+  const keyId = `${did}${keyData.id}`
+  const privateKeyBytes = new Uint8Array(keyData.privateKeyBytes)
+
+  // z6Mk = Ed25519 (0xed01), z6LS = X25519 (0xec01)
+  if (keyData.publicKeyMultibase.startsWith('z6Mk')) {
+    // Ed25519 private keys need the public key concatenated
+    const publicKeyBytes = bs58.decode(keyData.publicKeyMultibase.slice(1)).slice(2)
+    return {
+      id: keyId,
+      type: 'Ed25519VerificationKey2020',
+      privateKeyMultibase: toMultikeyEd25519Private(privateKeyBytes, publicKeyBytes)
+    }
+  }
+
+  return {
+    id: keyId,
+    type: 'X25519KeyAgreementKey2020',
+    privateKeyMultibase: toMultikeyX25519Private(privateKeyBytes)
+  }
+}
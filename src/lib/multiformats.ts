@@ -1,2 +1,8 @@
 // Re-export functions from peer4-utils for compatibility
-export { toMultibaseB58, toMultikeyEd25519, toMultikeyX25519 } from './peer4-utils'
+export {
+  toMultibaseB58,
+  toMultikeyEd25519,
+  toMultikeyX25519,
+  toMultikeyEd25519Private,
+  toMultikeyX25519Private
+} from './peer4-utils'
@@ -38,3 +38,35 @@ export function toMultikeyX25519(publicKey: Uint8Array): string {
   bytes.set(publicKey, varint.encode.bytes);
   return toMultibaseB58(bytes);
 }
+
+const ed25519_priv = 0x1300;
+const x25519_priv = 0x1302;
+
+/**
+ * Encodes an Ed25519 private key with multicodec prefix.
+ * @param privateKey - The 32-byte Ed25519 private key.
+ * @param publicKey - The matching 32-byte Ed25519 public key.
+ * @returns The multibase base58btc encoded private key (private key followed by public key).
+ */
+export function toMultikeyEd25519Private(privateKey: Uint8Array, publicKey: Uint8Array): string {
+  const combined = new Uint8Array(privateKey.length + publicKey.length);
+  combined.set(privateKey, 0);
+  combined.set(publicKey, privateKey.length);
+
+  const bytes = new Uint8Array(varint.encodingLength(ed25519_priv) + combined.length);
+  varint.encode(ed25519_priv, bytes, 0);
+  bytes.set(combined, varint.encode.bytes);
+  return toMultibaseB58(bytes);
+}
+
+/**
+ * Encodes an X25519 private key with multicodec prefix.
+ * @param privateKey - The 32-byte X25519 private key.
+ * @returns The multibase base58btc encoded private key.
+ */
+export function toMultikeyX25519Private(privateKey: Uint8Array): string {
+  const bytes = new Uint8Array(varint.encodingLength(x25519_priv) + privateKey.length);
+  varint.encode(x25519_priv, bytes, 0);
+  bytes.set(privateKey, varint.encode.bytes);
+  return toMultibaseB58(bytes);
+}
@@ -2,6 +2,8 @@ import { createRouter, createWebHistory } from 'vue-router'
 import DesktopView from './views/DesktopView.vue'
 import MobileView from './views/MobileView.vue'
 import AdvancedView from './views/AdvancedView.vue'
+import SessionsView from './views/SessionsView.vue'
+import SettingsView from './views/SettingsView.vue'
 
 const router = createRouter({
   history: createWebHistory(),
@@ -11,6 +13,11 @@ const router = createRouter({
       name: 'desktop',
       component: DesktopView
     },
+    {
+      path: '/sessions',
+      name: 'sessions',
+      component: SessionsView
+    },
     {
       path: '/mobile',
       name: 'mobile',
@@ -20,6 +27,11 @@ const router = createRouter({
       path: '/mobile/advanced',
       name: 'advanced',
       component: AdvancedView
+    },
+    {
+      path: '/mobile/settings',
+      name: 'settings',
+      component: SettingsView
     }
   ]
 })
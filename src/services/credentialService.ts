@@ -0,0 +1,177 @@
+// Verifiable credentials held by the wallet (VC Data Model 1.1), as JWTs (vc-jwt) or as JSON
+// documents with a Data Integrity proof
+// Credentials are presented to websites that request them during login (Present Proof 3.0),
+// in a presentation signed by the DID they were issued to.
+import * as ed from '@noble/ed25519'
+import { credentialMatchesDescriptor } from '../../server/presentation-exchange.js'
+import { getConnections, getCredentials, getMobileDID, saveCredential } from './mobileStorage'
+
+export const PRESENTATION_DEFINITION_FORMAT = 'dif/presentation-exchange/definitions@v1.0'
+export const PRESENTATION_SUBMISSION_FORMAT = 'dif/presentation-exchange/submission@v1.0'
+
+function toBase64url(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+export function encodeBase64url(text: string): string {
+  return toBase64url(new TextEncoder().encode(text))
+}
+
+function decodeBase64url(input: string): string {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/')
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0))
+  return new TextDecoder().decode(bytes)
+}
+
+// Read a Data Integrity credential, or throw if it isn't one
+function parseDocumentCredential(json: string): any {
+  const document = JSON.parse(json)
+  const issuer = typeof document?.issuer === 'string' ? document.issuer : document?.issuer?.id
+  if (!issuer || !document.credentialSubject || !document.proof) {
+    throw new Error('Not a verifiable credential with a Data Integrity proof')
+  }
+
+  const { proof, ...credential } = document
+  return { ...credential, issuer }
+}
+
+// Decode a JWT credential into the credential it encodes, or throw if it isn't one
+// A Data Integrity credential (JSON) is read as it is.
+export function decodeCredential(jwt: string): any {
+  if (jwt.trim().startsWith('{')) {
+    return parseDocumentCredential(jwt.trim())
+  }
+
+  const [, payload] = jwt.trim().split('.')
+  const claims = payload ? JSON.parse(decodeBase64url(payload)) : null
+  if (!claims?.vc || !claims.iss) {
+    throw new Error('Not a JWT verifiable credential')
+  }
+
+  return {
+    ...claims.vc,
+    issuer: claims.iss,
+    issuanceDate: claims.nbf ? new Date(claims.nbf * 1000).toISOString() : claims.vc.issuanceDate,
+    ...(claims.exp && { expirationDate: new Date(claims.exp * 1000).toISOString() }),
+    credentialSubject: {
+      ...(claims.sub && { id: claims.sub }),
+      ...claims.vc.credentialSubject
+    }
+  }
+}
+
+// Store a JWT or Data Integrity credential, e.g. pasted from an issuer
+export function importCredential(input: string) {
+  const credential = decodeCredential(input)
+  const isDocument = input.trim().startsWith('{')
+  return saveCredential({
+    ...(isDocument ? { document: JSON.parse(input.trim()) } : { jwt: input.trim() }),
+    type: credential.type,
+    issuer: credential.issuer,
+    credentialSubject: credential.credentialSubject,
+    issuanceDate: credential.issuanceDate,
+    expirationDate: credential.expirationDate
+  })
+}
+
+// Display name of a credential: its most specific type
+export function credentialName(credential: any): string {
+  const types = ([] as string[]).concat(credential.type || [])
+  return types.filter(type => type !== 'VerifiableCredential').pop() || 'Credential'
+}
+
+// Read the presentation definition and options from a request-presentation message
+export function getPresentationRequest(request: any) {
+  const attachment = (request.attachments || []).find(
+    (a: any) => a.format === PRESENTATION_DEFINITION_FORMAT
+  )
+  const data = attachment?.data?.json
+  if (!data?.presentation_definition) {
+    throw new Error('Presentation request has no presentation definition')
+  }
+
+  return { definition: data.presentation_definition, options: data.options || {} }
+}
+
+// List the stored credentials that satisfy each input descriptor of a presentation definition
+export function findMatchingCredentials(definition: any) {
+  const credentials = getCredentials()
+  return definition.input_descriptors.map((descriptor: any) => ({
+    descriptor,
+    candidates: credentials.filter((c: any) => credentialMatchesDescriptor(c, descriptor))
+  }))
+}
+
+// Private keys of a DID the wallet holds: its own DID or a connection DID
+function findPrivateKeys(did: string): any {
+  const mobileDID = getMobileDID()
+  if (mobileDID?.did === did) return mobileDID.privateKeys
+  return getConnections().find((c: any) => c.myDid === did)?.myPrivateKeys
+}
+
+// The DID the credentials were issued to, which has to sign the presentation
+// Without a subject they are presented by the connection DID.
+function getHolder(myDid: string, credentials: any[]): string {
+  const subjects = [...new Set(credentials.map(c => c.credentialSubject?.id || myDid))]
+  if (subjects.length > 1) {
+    throw new Error('The chosen credentials were issued to different DIDs')
+  }
+  return subjects[0] || myDid
+}
+
+// Create a JWT presentation of the chosen credentials, signed by key-1 of the DID they were
+// issued to (the website only accepts credentials from their subject)
+// challenge and domain come from the request, so the presentation can't be replayed elsewhere
+export async function createPresentation(
+  myDid: string,
+  credentials: any[],
+  definition: any,
+  options: { challenge?: string; domain?: string }
+): Promise<string> {
+  const holder = getHolder(myDid, credentials)
+  const signingKey = findPrivateKeys(holder)?.['key-1']
+  if (!signingKey) {
+    throw new Error(`The wallet has no key for ${holder}, which the credentials were issued to`)
+  }
+
+  const now = Math.floor(Date.now() / 1000)
+  const header = { alg: 'EdDSA', typ: 'JWT', kid: `${holder}#key-1` }
+  const claims = {
+    iss: holder,
+    aud: options.domain,
+    nonce: options.challenge,
+    iat: now,
+    exp: now + 5 * 60,
+    vp: {
+      '@context': ['https://www.w3.org/2018/credentials/v1'],
+      type: ['VerifiablePresentation'],
+      verifiableCredential: credentials.map(c => c.jwt || c.document),
+      presentation_submission: {
+        id: crypto.randomUUID(),
+        definition_id: definition.id,
+        descriptor_map: credentials.map((c, index) => ({
+          id: c.descriptorId,
+          format: 'jwt_vp',
+          path: '$',
+          path_nested: {
+            id: c.descriptorId,
+            format: c.jwt ? 'jwt_vc' : 'ldp_vc',
+            path: `$.vp.verifiableCredential[${index}]`
+          }
+        }))
+      }
+    }
+  }
+
+  const encodedHeader = encodeBase64url(JSON.stringify(header))
+  const signingInput = `${encodedHeader}.${encodeBase64url(JSON.stringify(claims))}`
+  const signature = await ed.signAsync(
+    new TextEncoder().encode(signingInput),
+    new Uint8Array(signingKey.privateKeyBytes)
+  )
+
+  return `${signingInput}.${toBase64url(signature)}`
+}
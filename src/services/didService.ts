@@ -1,6 +1,5 @@
 import initSqlJs from 'sql.js'
-import * as peer4 from '../lib/peer4'
-import { toMultikeyEd25519, toMultikeyX25519 } from '../lib/multiformats'
+import { createPeer4DID } from '../lib/keys'
 
 let db: any = null
 
@@ -46,95 +45,18 @@ function saveDatabase() {
   }
 }
 
-// Generate Ed25519 key pair for authentication using Web Crypto API
-async function generateEd25519KeyPair() {
-  const keyPair = await crypto.subtle.generateKey(
-    {
-      name: 'Ed25519',
-      namedCurve: 'Ed25519'
-    } as any,
-    true,
-    ['sign', 'verify']
-  )
-
-  const privateKeyRaw = await crypto.subtle.exportKey('pkcs8', keyPair.privateKey)
-  const publicKeyRaw = await crypto.subtle.exportKey('spki', keyPair.publicKey)
-
-  // Extract the raw 32-byte keys from the exported formats
-  const privateKey = new Uint8Array(privateKeyRaw).slice(-32)
-  const publicKey = new Uint8Array(publicKeyRaw).slice(-32)
-
-  return { privateKey, publicKey }
-}
-
-// Generate X25519 key pair for encryption (derived from Ed25519)
-function generateX25519KeyPair() {
-  const privateKey = crypto.getRandomValues(new Uint8Array(32))
-  // X25519 public key is the scalar multiplication of the private key with the base point
-  // For simplicity, we'll use a random key pair (in production, you'd derive from Ed25519)
-  const publicKey = crypto.getRandomValues(new Uint8Array(32))
-  return { privateKey, publicKey }
-}
-
 // Generate a new DID
 export async function generateDID() {
   await initDatabase()
 
-  // Generate Ed25519 key pair for authentication
-  const authKeys = await generateEd25519KeyPair()
-
-  // Generate X25519 key pair for encryption
-  const encKeys = generateX25519KeyPair()
-
   // Get the service endpoint URL using current hostname
   const serviceEndpoint = `${window.location.protocol}//${window.location.host}/didcomm`
 
-  // Create DID Document with service endpoint
-  const didDocument: any = {
-    verificationMethod: [
-      {
-        id: '#key-1',
-        type: 'Multikey',
-        publicKeyMultibase: toMultikeyEd25519(authKeys.publicKey)
-      },
-      {
-        id: '#key-2',
-        type: 'Multikey',
-        publicKeyMultibase: toMultikeyX25519(encKeys.publicKey)
-      }
-    ],
-    authentication: ['#key-1'],
-    keyAgreement: ['#key-2'],
-    service: [
-      {
-        id: '#didcomm',
-        type: 'DIDCommMessaging',
-        serviceEndpoint
-      }
-    ]
-  }
-
-  // Generate the DID using peer4 library (this encodes the entire document including service)
-  const longFormDid = await peer4.encode(didDocument)
-
-  // Resolve to get the full DID document (this should include the service endpoint)
-  const resolvedDocument = await peer4.resolve(longFormDid)
-
-  // Store private keys
-  const privateKeyData: any = {
-    'key-1': {
-      id: '#key-1',
-      type: 'Multikey',
-      publicKeyMultibase: toMultikeyEd25519(authKeys.publicKey),
-      privateKeyBytes: Array.from(authKeys.privateKey)
-    },
-    'key-2': {
-      id: '#key-2',
-      type: 'Multikey',
-      publicKeyMultibase: toMultikeyX25519(encKeys.publicKey),
-      privateKeyBytes: Array.from(encKeys.privateKey)
-    }
-  }
+  const {
+    did: longFormDid,
+    didDocument: resolvedDocument,
+    privateKeys: privateKeyData
+  } = await createPeer4DID({ endpoint: serviceEndpoint })
 
   // Clear existing DID
   db.run('DELETE FROM did_identity')
@@ -1,7 +1,8 @@
 // DIDComm message encryption/decryption service for browser
 import { Message } from 'didcomm'
-import { getMobileDID } from './mobileStorage'
+import { getConnections, getMobileDID } from './mobileStorage'
 import * as peer4 from '../lib/peer4'
+import { toDIDCommSecret } from '../lib/keys'
 
 // DID Resolver for client-side
 class ClientDIDResolver {
@@ -30,7 +31,13 @@ class ClientDIDResolver {
     if (did.startsWith('did:peer:4')) {
       try {
         if (peer4.LONG_RE.test(did)) {
-          return await peer4.resolve(did)
+          // Remember the short form too: peers pack messages with short-form key IDs
+          const shortForm = peer4.longToShort(did)
+          this.knownDIDs.set(
+            shortForm,
+            absolutizeDocument(shortForm, await peer4.resolveShort(did))
+          )
+          return absolutizeDocument(did, await peer4.resolve(did))
         } else {
           console.warn('Cannot resolve short-form did:peer:4 without document')
           return null
@@ -127,32 +134,50 @@ class ClientDIDResolver {
   }
 }
 
+// Use the long-form DID as the document ID and prefix relative key references with it,
+// so that key IDs match the kid values didcomm puts in packed messages
+function absolutizeDocument(did: string, document: any): any {
+  const absolutize = (ref: any) =>
+    typeof ref === 'string' && ref.startsWith('#') ? `${did}${ref}` : ref
+
+  return {
+    ...document,
+    id: did,
+    verificationMethod: (document.verificationMethod || []).map((vm: any) => ({
+      ...vm,
+      id: absolutize(vm.id),
+      controller: did
+    })),
+    authentication: (document.authentication || []).map(absolutize),
+    keyAgreement: (document.keyAgreement || []).map(absolutize),
+    service: document.service || []
+  }
+}
+
 // Secrets Resolver for client-side
 class ClientSecretsResolver {
   private secrets: Map<string, any> = new Map()
 
   constructor() {
-    // Load mobile DID keys
-    this.loadMobileKeys()
+    // Load the keys of every DID the wallet owns
+    this.loadWalletKeys()
   }
 
-  loadMobileKeys() {
+  // Load the secrets of the mobile DID and of every connection DID
+  loadWalletKeys() {
     const mobileDID = getMobileDID()
-    if (!mobileDID || !mobileDID.privateKeys) {
-      console.warn('No mobile DID keys found')
-      return
-    }
-
-    // Add all private keys from mobile DID
-    for (const [keyId, keyData] of Object.entries(mobileDID.privateKeys)) {
-      const fullKeyId = `${mobileDID.did}${keyData.id}`
-      this.secrets.set(fullKeyId, {
-        id: fullKeyId,
-        type: keyData.type,
-        privateKeyMultibase: keyData.publicKeyMultibase, // Note: This should be private key
-        privateKeyBytes: keyData.privateKeyBytes
-      })
-      console.log('Loaded secret key:', fullKeyId)
+    const ownedDIDs = [
+      ...(mobileDID?.privateKeys ? [mobileDID] : []),
+      ...getConnections()
+        .filter((c: any) => c.myDid && c.myPrivateKeys)
+        .map((c: any) => ({ did: c.myDid, privateKeys: c.myPrivateKeys }))
+    ]
+
+    for (const { did, privateKeys } of ownedDIDs) {
+      for (const keyData of Object.values(privateKeys)) {
+        const secret = toDIDCommSecret(did, keyData)
+        this.secrets.set(secret.id, secret)
+      }
     }
   }
 
@@ -171,6 +196,10 @@ class ClientSecretsResolver {
 
     return secret
   }
+
+  async find_secrets(secretIds: string[]): Promise<string[]> {
+    return secretIds.filter(secretId => this.secrets.has(secretId))
+  }
 }
 
 // Create global instances
@@ -182,6 +211,14 @@ export function addKnownDID(did: string, didDocument: any) {
   didResolver.addDID(did, didDocument)
 }
 
+// Register the private keys of a DID we own (e.g. a connection DID) with the secrets resolver
+export function addDIDSecrets(did: string, privateKeys: Record<string, any>) {
+  for (const keyData of Object.values(privateKeys)) {
+    const secret = toDIDCommSecret(did, keyData)
+    secretsResolver.addSecret(secret.id, secret)
+  }
+}
+
 // Pack (encrypt) a DIDComm message
 export async function packMessage(
   plainMessage: any,
@@ -243,8 +280,8 @@ export async function unpackMessage(
   try {
     console.log('Unpacking DIDComm message...')
 
-    // Reload secrets in case keys were updated
-    secretsResolver.loadMobileKeys()
+    // Reload secrets in case DIDs were added since
+    secretsResolver.loadWalletKeys()
 
     const [message, metadata] = await Message.unpack(
       packedMessage,
@@ -0,0 +1,247 @@
+// Wallet inbox: unpacks messages delivered to the wallet's DIDs and hands them to protocol handlers
+//
+// Messages arrive packed (e.g. from the mediator). Forwards addressed to one of our DIDs are
+// unwrapped, every message is logged in mobile_messages, and connection states are updated by
+// the handler of the message's type. Messages of protocols that change a connection's state
+// must be authcrypted by their sender, as a plaintext `from` can be forged.
+import {
+  getConnections,
+  getMessages,
+  getMobileDID,
+  saveMessage,
+  updateConnection,
+  updateMessage
+} from './mobileStorage'
+import { unpackMessage, didResolver } from './didcommService'
+import {
+  LOGIN_PROTOCOL,
+  WALLET_STATES,
+  formatProblemReport,
+  handleSessionConnected,
+  handleSessionLogout,
+  sendLoginMessage
+} from './loginService'
+import { USER_PROFILE_PROTOCOL, handleProfileRequest } from './profileService'
+
+const FORWARD_TYPE = 'https://didcomm.org/routing/2.0/forward'
+
+// Protocols whose messages are only accepted when authcrypted by the `from` DID
+const AUTHCRYPT_PROTOCOLS = [
+  LOGIN_PROTOCOL,
+  USER_PROFILE_PROTOCOL,
+  'https://didcomm.org/coordinate-mediation/3.0',
+  'https://didcomm.org/messagepickup/3.0'
+]
+
+type Handler = (message: any, metadata: any) => Promise<any> | any
+
+// Handlers keyed by message type
+const handlers: Record<string, Handler> = {
+  [`${LOGIN_PROTOCOL}/session-connected`]: handleSessionConnected,
+  [`${LOGIN_PROTOCOL}/session-logout`]: handleSessionLogout,
+  [`${USER_PROFILE_PROTOCOL}/request-profile`]: handleProfileRequest,
+  'https://didcomm.org/trust-ping/2.0/ping': handleTrustPing,
+  'https://didcomm.org/trust-ping/2.0/ping-response': handleTrustPingResponse,
+  'https://didcomm.org/basic-message/2.0/message': handleBasicMessage,
+  'https://didcomm.org/report-problem/2.0/problem-report': handleProblemReport
+}
+
+// DIDs the wallet holds keys for
+function getWalletDIDs(): string[] {
+  const mobileDID = getMobileDID()
+  return [
+    ...(mobileDID ? [mobileDID.did] : []),
+    ...getConnections()
+      .filter((c: any) => c.myDid)
+      .map((c: any) => c.myDid)
+  ]
+}
+
+// The connection a message was sent on: from the connection's peer to our connection DID
+function findConnection(message: any) {
+  return getConnections().find((c: any) => c.did === message.from && message.to?.includes(c.myDid))
+}
+
+// Whether a message was authcrypted with a keyAgreement key of its `from` DID
+async function isSentByFrom(message: any, metadata: any): Promise<boolean> {
+  if (!metadata.authenticated || !metadata.encrypted_from_kid || !message.from) return false
+
+  const [kidDID, fragment] = metadata.encrypted_from_kid.split('#')
+  const didDocument = await didResolver.resolve(message.from)
+  if (!didDocument || !fragment) return false
+
+  // A did:peer:4 can appear in long or short form
+  const names = [message.from, didDocument.id, ...(didDocument.alsoKnownAs || [])]
+  if (!names.includes(kidDID)) return false
+
+  return (didDocument.keyAgreement || []).some((ref: any) => {
+    const [refDID, refFragment] = (typeof ref === 'string' ? ref : ref.id).split('#')
+    return refFragment === fragment && (!refDID || names.includes(refDID))
+  })
+}
+
+// The packed message an attachment carries, as JSON or base64url
+export function readAttachedMessage(attachment: any): any {
+  const data = attachment?.data
+  if (data?.json) return data.json
+  if (data?.base64) return atob(data.base64.replace(/-/g, '+').replace(/_/g, '/'))
+  throw new Error('Attachment carries no message')
+}
+
+// Unpack a message, unwrapping forwards whose next hop is one of our DIDs
+async function unpackInbound(packed: any): Promise<{ message: any; metadata: any }> {
+  const unpacked = await unpackMessage(typeof packed === 'string' ? packed : JSON.stringify(packed))
+  const { message } = unpacked
+
+  if (message.type === FORWARD_TYPE && getWalletDIDs().includes(message.body?.next)) {
+    return unpackInbound(readAttachedMessage(message.attachments?.[0]))
+  }
+
+  return unpacked
+}
+
+// A website that rotated its DID sends from_prior: move its connections to the new DID
+function applyFromPrior(message: any, metadata: any) {
+  const { iss: priorDID, sub: newDID } = metadata.from_prior || {}
+  if (!priorDID || newDID !== message.from) return
+
+  for (const connection of getConnections().filter((c: any) => c.did === priorDID)) {
+    console.log('Connection peer rotated its DID:', priorDID, '->', newDID)
+    updateConnection(connection.id, {
+      did: newDID,
+      priorDids: [...(connection.priorDids || []), priorDID]
+    })
+  }
+}
+
+// Receive one packed message: unpack it, log it and dispatch it to its protocol handler
+// Messages already received (e.g. delivered twice by a mediator) are not handled again.
+export async function receiveMessage(packed: any): Promise<any | null> {
+  let message, metadata
+  try {
+    ;({ message, metadata } = await unpackInbound(packed))
+  } catch (error) {
+    console.error('Failed to unpack inbound message:', error)
+    saveMessage({
+      direction: 'inbound',
+      type: 'unknown',
+      status: 'error',
+      error: String(error),
+      timestamp: new Date().toISOString()
+    })
+    return null
+  }
+
+  if (getMessages().some((m: any) => m.direction === 'inbound' && m.messageId === message.id)) {
+    console.log('Ignoring duplicate message:', message.id)
+    return null
+  }
+
+  const inboundMessageId = crypto.randomUUID()
+  saveMessage({
+    id: inboundMessageId,
+    direction: 'inbound',
+    type: message.type,
+    messageId: message.id,
+    from: message.from,
+    to: message.to,
+    body: message.body,
+    message,
+    encrypted: metadata.encrypted,
+    authenticated: metadata.authenticated,
+    status: 'received',
+    timestamp: new Date().toISOString()
+  })
+
+  if (metadata.from_prior) {
+    applyFromPrior(message, metadata)
+  }
+
+  if (
+    AUTHCRYPT_PROTOCOLS.some(protocol => message.type?.startsWith(`${protocol}/`)) &&
+    !(await isSentByFrom(message, metadata))
+  ) {
+    console.warn(`Rejecting ${message.type} that is not authcrypted by ${message.from}`)
+    updateMessage(inboundMessageId, {
+      status: 'rejected',
+      error: 'Not authcrypted by the sender'
+    })
+    return null
+  }
+
+  const handler = handlers[message.type]
+  if (!handler) {
+    console.warn('No handler for message type:', message.type)
+    updateMessage(inboundMessageId, { status: 'unhandled' })
+    return message
+  }
+
+  try {
+    await handler(message, metadata)
+    updateMessage(inboundMessageId, { status: 'handled' })
+  } catch (error) {
+    console.error(`Handler for ${message.type} failed:`, error)
+    updateMessage(inboundMessageId, { status: 'error', error: String(error) })
+  }
+
+  return message
+}
+
+// Answer a ping unless the sender asked for no response
+async function handleTrustPing(message: any) {
+  const connection = findConnection(message)
+  if (connection) {
+    updateConnection(connection.id, { lastSeenAt: new Date().toISOString() })
+  }
+
+  if (message.body?.response_requested === false || !connection) return
+
+  await sendLoginMessage(
+    {
+      type: 'https://didcomm.org/trust-ping/2.0/ping-response',
+      id: crypto.randomUUID(),
+      from: connection.myDid,
+      to: [message.from],
+      thid: message.id,
+      created_time: Math.floor(Date.now() / 1000),
+      body: {}
+    },
+    message.from,
+    connection.myDid
+  )
+}
+
+function handleTrustPingResponse(message: any) {
+  const connection = findConnection(message)
+  if (connection) {
+    updateConnection(connection.id, { lastSeenAt: new Date().toISOString() })
+  }
+}
+
+// Basic messages are kept in the message log; the connection notes when one last arrived
+function handleBasicMessage(message: any) {
+  console.log('Received basic message:', message.body?.content)
+  const connection = findConnection(message)
+  if (connection) {
+    updateConnection(connection.id, { lastMessageAt: new Date().toISOString() })
+  }
+}
+
+// A problem with a login that hasn't completed means the login failed
+function handleProblemReport(message: any) {
+  const problem = formatProblemReport(message)
+  console.warn(problem)
+
+  const connection = findConnection(message)
+  if (!connection) return
+
+  const loginFailed =
+    message.pthid &&
+    message.pthid === connection.loginThreadId &&
+    connection.status !== WALLET_STATES.AUTHENTICATED
+
+  updateConnection(connection.id, {
+    lastProblem: { code: message.body?.code, comment: problem },
+    ...(loginFailed && { status: WALLET_STATES.ERROR, error: problem })
+  })
+}
@@ -0,0 +1,386 @@
+// Wallet side of the Website Login Protocol 1.0 (see Protocols/Login.md)
+import { getConnections, saveMessage, updateConnection, updateMessage } from './mobileStorage'
+import { packMessage, unpackMessage, didResolver } from './didcommService'
+import {
+  PRESENTATION_SUBMISSION_FORMAT,
+  createPresentation,
+  encodeBase64url,
+  getPresentationRequest
+} from './credentialService'
+
+export const LOGIN_PROTOCOL = 'https://didcomm.org/login/1.0'
+
+// Wallet states from the protocol spec
+export const WALLET_STATES = {
+  QR_SCANNED: 'qr_scanned',
+  CONNECTION_CREATING: 'connection_creating',
+  REGISTERING_MEDIATOR: 'registering_mediator',
+  RESPONDING: 'responding',
+  CHALLENGED: 'challenged',
+  PRESENTATION_REQUESTED: 'presentation_requested',
+  AUTHENTICATED: 'authenticated',
+  ERROR: 'error',
+  LOGGED_OUT: 'logged_out'
+}
+
+// Resolve the HTTP endpoint of a DID's DIDCommMessaging service
+export async function getDIDCommEndpoint(did: string): Promise<string> {
+  const didDocument = await didResolver.resolve(did)
+  if (!didDocument) {
+    throw new Error(`Cannot resolve DID: ${did}`)
+  }
+
+  const service = (didDocument.service || []).find((s: any) => s.type === 'DIDCommMessaging')
+  if (!service) {
+    throw new Error('DID has no DIDCommMessaging service')
+  }
+
+  const endpoint =
+    typeof service.serviceEndpoint === 'string'
+      ? service.serviceEndpoint
+      : service.serviceEndpoint?.uri
+
+  if (!endpoint || endpoint.startsWith('did:')) {
+    throw new Error('DID has no HTTP DIDCommMessaging endpoint')
+  }
+
+  return endpoint
+}
+
+type LoginResult = { success: boolean; messageId: string; error?: string; response?: any }
+
+// Log in to a website: send session-login, answer the website's challenge and credential
+// request if it sends them, and wait for session-connected. Replies come back on the HTTP
+// response (return_route). connected tells whether session-connected came back that way;
+// otherwise it arrives later at the wallet's endpoint (see handleSessionConnected).
+// onState is called with each wallet state the login moves through. selectCredentials is
+// asked which stored credentials to present; it returns them (each with the descriptorId it
+// answers), or null to decline.
+export async function login(
+  myDid: string,
+  websiteDid: string,
+  {
+    sessionToken,
+    invitationId,
+    onState = () => {},
+    selectCredentials = async () => null
+  }: {
+    sessionToken?: string
+    invitationId?: string
+    onState?: (state: string) => void
+    selectCredentials?: (definition: any) => Promise<any[] | null>
+  } = {}
+): Promise<{
+  loginThreadId: string
+  connected: boolean
+  sessionToken?: string
+  expiresTime?: number
+}> {
+  onState(WALLET_STATES.RESPONDING)
+  const loginResult = await sendSessionLogin(myDid, websiteDid, sessionToken, invitationId)
+  if (!loginResult.success) {
+    throw new Error(loginResult.error)
+  }
+
+  let reply = loginResult.response
+  if (reply?.type === `${LOGIN_PROTOCOL}/challenge`) {
+    onState(WALLET_STATES.CHALLENGED)
+    const challengeResult = await sendChallengeResponse(myDid, websiteDid, reply)
+    if (!challengeResult.success) {
+      throw new Error(challengeResult.error)
+    }
+    reply = challengeResult.response
+  }
+
+  if (reply?.type === 'https://didcomm.org/present-proof/3.0/request-presentation') {
+    onState(WALLET_STATES.PRESENTATION_REQUESTED)
+    const { definition, options } = getPresentationRequest(reply)
+    const credentials = await selectCredentials(definition)
+    if (!credentials) {
+      throw new Error('Login cancelled: no credential was shared')
+    }
+
+    const presentation = await createPresentation(myDid, credentials, definition, options)
+    const presentationResult = await sendPresentation(myDid, websiteDid, reply, presentation)
+    if (!presentationResult.success) {
+      throw new Error(presentationResult.error)
+    }
+    reply = presentationResult.response
+  }
+
+  if (reply?.type === 'https://didcomm.org/report-problem/2.0/problem-report') {
+    throw new Error(formatProblemReport(reply))
+  }
+
+  return {
+    loginThreadId: loginResult.messageId,
+    connected: reply?.type === `${LOGIN_PROTOCOL}/session-connected`,
+    sessionToken: reply?.body?.session_token,
+    expiresTime: reply?.body?.expires_time
+  }
+}
+
+// Send a session-login message from a connection DID to the website DID
+// The message's pthid points at the invitation it answers
+export async function sendSessionLogin(
+  myDid: string,
+  websiteDid: string,
+  sessionToken?: string,
+  invitationId?: string
+): Promise<LoginResult> {
+  return sendLoginMessage(
+    {
+      type: `${LOGIN_PROTOCOL}/session-login`,
+      id: crypto.randomUUID(),
+      from: myDid,
+      to: [websiteDid],
+      ...(invitationId && { pthid: invitationId }),
+      return_route: 'all',
+      created_time: Math.floor(Date.now() / 1000),
+      body: sessionToken ? { session_token: sessionToken } : {}
+    },
+    websiteDid,
+    myDid
+  )
+}
+
+// Answer a login challenge, signing the response with the connection DID's authentication key
+export async function sendChallengeResponse(
+  myDid: string,
+  websiteDid: string,
+  challenge: any
+): Promise<LoginResult> {
+  const myDidDocument = await didResolver.resolve(myDid)
+  const [authenticationKey] = myDidDocument?.authentication || []
+  if (!authenticationKey) {
+    return { success: false, messageId: '', error: 'Connection DID has no authentication key' }
+  }
+
+  return sendLoginMessage(
+    {
+      type: `${LOGIN_PROTOCOL}/challenge-response`,
+      id: crypto.randomUUID(),
+      from: myDid,
+      to: [websiteDid],
+      thid: challenge.thid,
+      return_route: 'all',
+      created_time: Math.floor(Date.now() / 1000),
+      body: {
+        nonce: challenge.body?.nonce,
+        origin: challenge.body?.origin
+      }
+    },
+    websiteDid,
+    myDid,
+    typeof authenticationKey === 'string' ? authenticationKey : authenticationKey.id
+  )
+}
+
+// Present credentials for a website's request-presentation, as a JWT presentation
+export async function sendPresentation(
+  myDid: string,
+  websiteDid: string,
+  request: any,
+  presentation: string
+): Promise<LoginResult> {
+  return sendLoginMessage(
+    {
+      type: 'https://didcomm.org/present-proof/3.0/presentation',
+      id: crypto.randomUUID(),
+      from: myDid,
+      to: [websiteDid],
+      thid: request.id,
+      return_route: 'all',
+      created_time: Math.floor(Date.now() / 1000),
+      body: {},
+      attachments: [
+        {
+          id: crypto.randomUUID(),
+          media_type: 'application/jwt',
+          format: PRESENTATION_SUBMISSION_FORMAT,
+          data: { base64: encodeBase64url(presentation) }
+        }
+      ]
+    },
+    websiteDid,
+    myDid
+  )
+}
+
+// Send a session-logout message ending the browser session started by a session-login
+export async function sendSessionLogout(
+  myDid: string,
+  websiteDid: string,
+  loginThreadId?: string
+): Promise<LoginResult> {
+  return sendLoginMessage(
+    {
+      type: `${LOGIN_PROTOCOL}/session-logout`,
+      id: crypto.randomUUID(),
+      from: myDid,
+      to: [websiteDid],
+      ...(loginThreadId && { thid: loginThreadId }),
+      created_time: Math.floor(Date.now() / 1000),
+      body: {}
+    },
+    websiteDid,
+    myDid
+  )
+}
+
+// Log out of a website through one of our connections, and mark the connection logged out
+export async function logoutConnection(connection: any) {
+  const result = await sendSessionLogout(connection.myDid, connection.did, connection.loginThreadId)
+
+  if (result.success) {
+    updateConnection(connection.id, {
+      status: WALLET_STATES.LOGGED_OUT,
+      loggedOutAt: new Date().toISOString()
+    })
+  }
+
+  return result
+}
+
+// Handle a session-connected delivered to the wallet's endpoint rather than on the HTTP response
+export function handleSessionConnected(message: any) {
+  const connection = getConnections().find(
+    (c: any) =>
+      c.did === message.from &&
+      message.to?.includes(c.myDid) &&
+      (!c.loginThreadId || c.loginThreadId === message.thid)
+  )
+
+  if (!connection) {
+    console.warn('Received session-connected for an unknown connection')
+    return null
+  }
+
+  return updateConnection(connection.id, {
+    status: WALLET_STATES.AUTHENTICATED,
+    loginThreadId: message.thid,
+    sessionToken: message.body?.session_token,
+    sessionTokenExpiresTime: message.body?.expires_time,
+    authenticatedAt: new Date().toISOString()
+  })
+}
+
+// Handle a session-logout received from a website: the session it names is over
+export function handleSessionLogout(message: any) {
+  const connection = getConnections().find(
+    (c: any) =>
+      c.did === message.from &&
+      message.to?.includes(c.myDid) &&
+      (!message.thid || c.loginThreadId === message.thid)
+  )
+
+  if (!connection) {
+    console.warn('Received session-logout for an unknown connection')
+    return null
+  }
+
+  console.log('Website ended the session for connection:', connection.id)
+  return updateConnection(connection.id, {
+    status: WALLET_STATES.LOGGED_OUT,
+    loggedOutAt: new Date().toISOString()
+  })
+}
+
+// Pack a message on a login connection and POST it to the website's DIDComm endpoint
+// signFrom is the key to sign the message with, for messages that must be signed
+export async function sendLoginMessage(
+  message: any,
+  websiteDid: string,
+  myDid: string,
+  signFrom?: string
+): Promise<LoginResult> {
+  const kind = message.type.split('/').pop()
+  console.log(`Sending ${kind}:`, message)
+
+  // Log outgoing message and get the message ID for updates
+  const outboundMessageId = crypto.randomUUID()
+  saveMessage({
+    id: outboundMessageId,
+    direction: 'outbound',
+    type: message.type,
+    messageId: message.id,
+    from: message.from,
+    to: message.to,
+    body: message.body,
+    message,
+    status: 'sent',
+    timestamp: new Date().toISOString()
+  })
+
+  try {
+    const endpoint = await getDIDCommEndpoint(websiteDid)
+
+    // Encrypt the message from the connection DID to the website DID
+    console.log(`Encrypting ${kind}...`)
+    const encryptedMessage = await packMessage(message, websiteDid, myDid, signFrom)
+
+    console.log(`Sending encrypted ${kind} to:`, endpoint)
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/didcomm-encrypted+json'
+      },
+      body: encryptedMessage
+    })
+
+    if (response.ok) {
+      // An encrypted body is the website's reply, returned because we asked for return_route
+      const result = response.headers
+        .get('Content-Type')
+        ?.includes('application/didcomm-encrypted+json')
+        ? (await unpackMessage(await response.text())).message
+        : await response.json()
+      console.log(`${kind} response:`, result)
+
+      updateMessage(outboundMessageId, {
+        response: result,
+        responseStatus: 'received',
+        responseTimestamp: new Date().toISOString()
+      })
+
+      return { success: true, messageId: message.id, response: result }
+    } else {
+      const errorText = await response.text()
+      console.error(`${kind} failed:`, response.status, errorText)
+
+      updateMessage(outboundMessageId, {
+        response: { error: `HTTP ${response.status}: ${errorText}` },
+        responseStatus: 'error',
+        responseTimestamp: new Date().toISOString()
+      })
+
+      return {
+        success: false,
+        messageId: message.id,
+        error: `HTTP ${response.status}: ${errorText}`
+      }
+    }
+  } catch (error) {
+    console.error(`Error sending ${kind}:`, error)
+
+    updateMessage(outboundMessageId, {
+      response: { error: String(error) },
+      responseStatus: 'error',
+      responseTimestamp: new Date().toISOString()
+    })
+
+    return { success: false, messageId: message.id, error: String(error) }
+  }
+}
+
+// Human readable description of a received problem-report
+export function formatProblemReport(problemReport: any): string {
+  const args = problemReport.body?.args || []
+  const comment = (
+    problemReport.body?.comment ||
+    problemReport.body?.code ||
+    'Unknown problem'
+  ).replace(/\{(\d+)\}/g, (match: string, index: string) => args[Number(index) - 1] ?? match)
+  return `Website reported a problem: ${comment}`
+}
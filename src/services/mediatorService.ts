@@ -1,151 +1,198 @@
-// Indicio Public Mediator Service
+// Mediator Service
+// The wallet keeps a list of mediators in mobileStorage and one of them is the default. Each
+// connection DID is routed through one mediator, the default unless the user picks another.
 import {
   saveMobileDID,
   getMobileDID,
+  getConnections,
   saveConnection,
+  deleteConnection,
   saveMessage,
-  updateMessage
+  updateMessage,
+  getMediators as getStoredMediators,
+  saveMediator,
+  deleteMediator,
+  getSettings,
+  saveSettings
 } from './mobileStorage'
-import { packMessage, addKnownDID } from './didcommService'
-import * as peer4 from '../lib/peer4'
-import { toMultikeyEd25519, toMultikeyX25519 } from '../lib/multiformats'
+import { packMessage, unpackMessage, addKnownDID, didResolver } from './didcommService'
+import { createPeer4DID } from '../lib/keys'
 import bs58 from 'bs58'
 
-// Indicio Public Mediator Configuration
-const MEDIATOR_CONFIG = {
+// Indicio Public Mediator Configuration, the mediator a new wallet starts with
+const DEFAULT_MEDIATOR = {
+  id: 'indicio',
   did: 'did:key:z6Mkgs6MwYB3YgToZXGwknqC352cbHtxJsi3zXZfF1t2fNkT',
   endpoint: 'https://us-east2.public.mediator.indiciotech.io/message',
   wsEndpoint: 'wss://ws.us-east2.public.mediator.indiciotech.io/ws',
   label: 'Indicio Cloud Mediator'
 }
 
-// Generate Ed25519 key pair using Web Crypto API
-async function generateEd25519KeyPair() {
-  const keyPair = await crypto.subtle.generateKey(
-    {
-      name: 'Ed25519',
-      namedCurve: 'Ed25519'
-    } as any,
-    true,
-    ['sign', 'verify']
-  )
-
-  const privateKeyRaw = await crypto.subtle.exportKey('pkcs8', keyPair.privateKey)
-  const publicKeyRaw = await crypto.subtle.exportKey('spki', keyPair.publicKey)
+// All configured mediators
+export function getMediators(): any[] {
+  const mediators = getStoredMediators()
+  if (mediators.length === 0) {
+    return [saveMediator({ ...DEFAULT_MEDIATOR, addedAt: new Date().toISOString() })]
+  }
+  return mediators
+}
 
-  // Extract the raw 32-byte keys from the exported formats
-  const privateKey = new Uint8Array(privateKeyRaw).slice(-32)
-  const publicKey = new Uint8Array(publicKeyRaw).slice(-32)
+// A mediator by id, or the default mediator
+export function getMediatorStatus(mediatorId?: string) {
+  const mediators = getMediators()
+  const id = mediatorId || getSettings().defaultMediatorId
+  return mediators.find((m: any) => m.id === id) || (mediatorId ? null : mediators[0])
+}
 
-  return { privateKey, publicKey }
+// The mediator a connection's DID is routed through
+// Connections record it when they are created; one without a mediatorId uses the default.
+export function getConnectionMediator(connection: any) {
+  return getMediatorStatus(connection.mediatorId)
 }
 
-// Generate X25519 key pair for encryption
-function generateX25519KeyPair() {
-  const privateKey = crypto.getRandomValues(new Uint8Array(32))
-  const publicKey = crypto.getRandomValues(new Uint8Array(32))
-  return { privateKey, publicKey }
+// Make a mediator the one new connections use
+export function setDefaultMediator(mediatorId: string) {
+  saveSettings({ ...getSettings(), defaultMediatorId: mediatorId })
 }
 
+// Read a mediator's DID from an out-of-band invitation URL (_oob, base64url or URI encoded
+// JSON), or take a DID as is
+function parseMediatorReference(reference: string): { did: string; label?: string } {
+  const text = reference.trim()
+  if (text.startsWith('did:')) {
+    return { did: text }
+  }
 
-// Generate a new DID for the mobile wallet
-async function generateMobileDID() {
-  // Generate Ed25519 key pair for authentication
-  const authKeys = await generateEd25519KeyPair()
-
-  // Generate X25519 key pair for encryption
-  const encKeys = generateX25519KeyPair()
-
-  // Create DID Document with DIDComm v2 service endpoint
-  const inputDocument: any = {
-    verificationMethod: [
-      {
-        id: '#key-1',
-        type: 'Multikey',
-        publicKeyMultibase: toMultikeyEd25519(authKeys.publicKey)
-      },
-      {
-        id: '#key-2',
-        type: 'Multikey',
-        publicKeyMultibase: toMultikeyX25519(encKeys.publicKey)
-      }
-    ],
-    authentication: ['#key-1'],
-    keyAgreement: ['#key-2'],
-    service: [
-      {
-        id: '#didcomm',
-        type: 'DIDCommMessaging',
-        serviceEndpoint: MEDIATOR_CONFIG.endpoint,
-        accept: ['didcomm/v2'],
-        routingKeys: [MEDIATOR_CONFIG.did]
-      }
-    ]
+  let oob = null
+  try {
+    oob = new URL(text).searchParams.get('_oob')
+  } catch {
+    // Not a URL
+  }
+  if (!oob) {
+    throw new Error('Enter a mediator DID or an invitation URL with an _oob parameter')
   }
 
-  // Generate the DID using peer4 library
-  const longFormDid = await peer4.encode(inputDocument)
-  const resolvedDocument = await peer4.resolve(longFormDid)
-
-  // Store private keys
-  const privateKeyData: any = {
-    'key-1': {
-      id: '#key-1',
-      type: 'Multikey',
-      publicKeyMultibase: toMultikeyEd25519(authKeys.publicKey),
-      privateKeyBytes: Array.from(authKeys.privateKey)
-    },
-    'key-2': {
-      id: '#key-2',
-      type: 'Multikey',
-      publicKeyMultibase: toMultikeyX25519(encKeys.publicKey),
-      privateKeyBytes: Array.from(encKeys.privateKey)
-    }
+  let invitation
+  try {
+    invitation = JSON.parse(oob)
+  } catch {
+    invitation = JSON.parse(atob(oob.replace(/-/g, '+').replace(/_/g, '/')))
+  }
+
+  if (!invitation.from) {
+    throw new Error('Invitation has no mediator DID')
   }
+  return { did: invitation.from, label: invitation.body?.goal }
+}
+
+// The HTTP and WebSocket endpoints of a DID's DIDCommMessaging services
+async function resolveMediatorEndpoints(did: string) {
+  const didDocument = await didResolver.resolve(did)
+  const uris = (didDocument?.service || [])
+    .filter((s: any) => s.type === 'DIDCommMessaging')
+    .map((s: any) =>
+      typeof s.serviceEndpoint === 'string' ? s.serviceEndpoint : s.serviceEndpoint?.uri
+    )
+    .filter(Boolean)
 
   return {
-    did: longFormDid,
-    didDocument: resolvedDocument,
-    privateKeys: privateKeyData,
-    createdAt: new Date().toISOString()
+    endpoint: uris.find((uri: string) => uri.startsWith('http')),
+    wsEndpoint: uris.find((uri: string) => uri.startsWith('ws'))
   }
 }
 
-// Send mediation request to the mediator
-async function sendMediationRequest(myDid: string) {
-  const mediationRequest = {
-    type: 'https://didcomm.org/coordinate-mediation/3.0/mediate-request',
-    id: crypto.randomUUID(),
-    from: myDid,
-    to: [MEDIATOR_CONFIG.did],
-    body: {}
+// Add a mediator by invitation URL or DID
+// Endpoints not given are read from the mediator DID's services.
+export async function addMediator({
+  reference,
+  label,
+  endpoint,
+  wsEndpoint
+}: {
+  reference: string
+  label?: string
+  endpoint?: string
+  wsEndpoint?: string
+}) {
+  const { did, label: invitationLabel } = parseMediatorReference(reference)
+  if (getMediators().some((m: any) => m.did === did)) {
+    throw new Error('This mediator is already configured')
+  }
+
+  const resolved: { endpoint?: string; wsEndpoint?: string } =
+    endpoint && wsEndpoint ? {} : await resolveMediatorEndpoints(did)
+  const mediator = {
+    did,
+    label: label || invitationLabel || did,
+    endpoint: endpoint || resolved.endpoint,
+    wsEndpoint: wsEndpoint || resolved.wsEndpoint || null,
+    addedAt: new Date().toISOString()
+  }
+
+  if (!mediator.endpoint) {
+    throw new Error('The mediator DID has no HTTP endpoint. Enter its endpoint.')
   }
 
-  console.log('Sending mediation request:', mediationRequest)
+  return saveMediator(mediator)
+}
+
+// Remove a mediator no connection is routed through
+export function removeMediator(mediatorId: string) {
+  if (getMediatorStatus().id === mediatorId) {
+    throw new Error('The default mediator cannot be removed')
+  }
+  if (getConnections().some((c: any) => c.myDid && getConnectionMediator(c)?.id === mediatorId)) {
+    throw new Error('Connections are routed through this mediator')
+  }
+
+  const mediator = getMediatorStatus(mediatorId)
+  getConnections()
+    .filter((c: any) => c.isMediator && c.did === mediator?.did)
+    .forEach((c: any) => deleteConnection(c.id))
+  deleteMediator(mediatorId)
+}
+
+// Generate a new DID for the mobile wallet, reachable through the default mediator
+async function generateMobileDID() {
+  const mediator = getMediatorStatus()
+  return createPeer4DID({ endpoint: mediator.endpoint, routingKeys: [mediator.did] })
+}
+
+const COORDINATE_MEDIATION_PROTOCOL = 'https://didcomm.org/coordinate-mediation/3.0'
+
+// Messages asked for per keylist-query page
+const KEYLIST_PAGE_SIZE = 100
+
+// Send a message to the mediator and return its reply, unpacked
+// The mediator answers on the HTTP response because the message asks for return_route.
+async function sendToMediator(mediator: any, message: any): Promise<any> {
+  const kind = message.type.split('/').pop()
+  console.log(`Sending ${kind}:`, message)
 
   // Log outgoing message and get the message ID for updates
   const outboundMessageId = crypto.randomUUID()
   saveMessage({
     id: outboundMessageId,
     direction: 'outbound',
-    type: mediationRequest.type,
-    messageId: mediationRequest.id,
-    from: mediationRequest.from,
-    to: mediationRequest.to,
-    body: mediationRequest.body,
-    message: mediationRequest,
+    type: message.type,
+    messageId: message.id,
+    from: message.from,
+    to: message.to,
+    body: message.body,
+    message,
     status: 'sent',
     timestamp: new Date().toISOString()
   })
 
   try {
     // Encrypt the message using DIDComm v2
-    console.log('Encrypting mediation request...')
-    const encryptedMessage = await packMessage(mediationRequest, MEDIATOR_CONFIG.did, myDid)
+    console.log(`Encrypting ${kind}...`)
+    const encryptedMessage = await packMessage(message, mediator.did, message.from)
 
-    console.log('Sending encrypted mediation request...')
+    console.log(`Sending encrypted ${kind}...`)
 
-    const response = await fetch(MEDIATOR_CONFIG.endpoint, {
+    const response = await fetch(mediator.endpoint, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/didcomm-encrypted+json'
@@ -153,32 +200,28 @@ async function sendMediationRequest(myDid: string) {
       body: encryptedMessage
     })
 
-    if (response.ok) {
-      const result = await response.json()
-      console.log('Mediation response:', result)
-
-      // Update the outbound message with the response
-      updateMessage(outboundMessageId, {
-        response: result,
-        responseStatus: 'received',
-        responseTimestamp: new Date().toISOString()
-      })
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${await response.text()}`)
+    }
 
-      return result
-    } else {
-      console.error('Mediation request failed:', response.status, response.statusText)
+    const packedReply = await response.text()
+    const reply = packedReply ? (await unpackMessage(packedReply)).message : null
+    console.log(`${kind} response:`, reply)
 
-      // Update the outbound message with error
-      updateMessage(outboundMessageId, {
-        response: { error: `HTTP ${response.status}: ${response.statusText}` },
-        responseStatus: 'error',
-        responseTimestamp: new Date().toISOString()
-      })
+    // Update the outbound message with the response
+    updateMessage(outboundMessageId, {
+      response: reply,
+      responseStatus: 'received',
+      responseTimestamp: new Date().toISOString()
+    })
 
-      return null
+    if (reply?.type === 'https://didcomm.org/report-problem/2.0/problem-report') {
+      throw new Error(`Mediator reported a problem: ${reply.body?.comment || reply.body?.code}`)
     }
+
+    return reply
   } catch (error) {
-    console.error('Error sending mediation request:', error)
+    console.error(`Error sending ${kind}:`, error)
 
     // Update the outbound message with error
     updateMessage(outboundMessageId, {
@@ -187,12 +230,41 @@ async function sendMediationRequest(myDid: string) {
       responseTimestamp: new Date().toISOString()
     })
 
-    return null
+    throw error
   }
 }
 
-// Connect to the mediator and set up mediation
-export async function connectToMediator(): Promise<{
+// A coordinate-mediation message from the mobile DID to the mediator
+function createMediationMessage(mediator: any, kind: string, body: any) {
+  return {
+    type: `${COORDINATE_MEDIATION_PROTOCOL}/${kind}`,
+    id: crypto.randomUUID(),
+    from: getMobileDID().did,
+    to: [mediator.did],
+    return_route: 'all',
+    body
+  }
+}
+
+// Ask the mediator to mediate for us; resolves to its mediate-grant or mediate-deny
+async function sendMediationRequest(mediator: any) {
+  const reply = await sendToMediator(
+    mediator,
+    createMediationMessage(mediator, 'mediate-request', {})
+  )
+
+  if (
+    reply?.type !== `${COORDINATE_MEDIATION_PROTOCOL}/mediate-grant` &&
+    reply?.type !== `${COORDINATE_MEDIATION_PROTOCOL}/mediate-deny`
+  ) {
+    throw new Error(`Expected mediate-grant or mediate-deny, got ${reply?.type || 'no reply'}`)
+  }
+
+  return reply
+}
+
+// Connect to a mediator (the default mediator unless one is given) and set up mediation
+export async function connectToMediator(mediatorId?: string): Promise<{
   success: boolean
   did?: string
   error?: string
@@ -210,38 +282,56 @@ export async function connectToMediator(): Promise<{
       console.log('Using existing DID:', mobileDID.did)
     }
 
-    // Check if mediator connection already exists
-    const existingMediator = localStorage.getItem('mediator_connection')
-    if (existingMediator) {
+    const mediator = getMediatorStatus(mediatorId)
+    if (!mediator) {
+      throw new Error(`Unknown mediator: ${mediatorId}`)
+    }
+
+    // Check if mediation was already granted
+    if (mediator.status === 'granted') {
       console.log('Already connected to mediator')
+      reconcileKeylist(mediator.id).catch(error =>
+        console.error('Failed to reconcile keylist:', error)
+      )
       return { success: true, did: mobileDID.did }
     }
 
     // Send mediation request
-    console.log('Requesting mediation from Indicio...')
-    const mediationResponse = await sendMediationRequest(mobileDID.did)
+    console.log(`Requesting mediation from ${mediator.label}...`)
+    const mediationResponse = await sendMediationRequest(mediator)
+    const granted = mediationResponse.type === `${COORDINATE_MEDIATION_PROTOCOL}/mediate-grant`
+
+    // The grant names the DID senders route our messages through; 3.0 grants give one DID
+    const routingDid = ([] as string[]).concat(mediationResponse.body?.routing_did || [])[0] || null
+    if (granted && !routingDid) {
+      throw new Error('Mediate-grant has no routing_did')
+    }
 
     // Save mediator connection
-    const mediatorConnection = {
-      did: MEDIATOR_CONFIG.did,
-      endpoint: MEDIATOR_CONFIG.endpoint,
-      wsEndpoint: MEDIATOR_CONFIG.wsEndpoint,
-      label: MEDIATOR_CONFIG.label,
-      status: mediationResponse ? 'granted' : 'requested',
+    saveMediator({
+      ...mediator,
+      status: granted ? 'granted' : 'denied',
+      routingDid,
       mediationResponse,
       connectedAt: new Date().toISOString()
-    }
+    })
 
-    localStorage.setItem('mediator_connection', JSON.stringify(mediatorConnection))
+    if (!granted) {
+      console.error('Mediator denied mediation')
+      return { success: false, error: 'Mediator denied mediation' }
+    }
 
     // Also save as a connection
-    saveConnection({
-      did: MEDIATOR_CONFIG.did,
-      goalCode: 'mediation',
-      goal: 'DIDComm Mediation',
-      status: 'connected',
-      isMediator: true
-    })
+    if (!getConnections().some((c: any) => c.isMediator && c.did === mediator.did)) {
+      saveConnection({
+        did: mediator.did,
+        goalCode: 'mediation',
+        goal: `DIDComm Mediation (${mediator.label})`,
+        status: 'connected',
+        isMediator: true,
+        mediatorId: mediator.id
+      })
+    }
 
     console.log('Mediator connection established')
     return { success: true, did: mobileDID.did }
@@ -251,177 +341,119 @@ export async function connectToMediator(): Promise<{
   }
 }
 
-// Get mediator connection status
-export function getMediatorStatus() {
-  const connection = localStorage.getItem('mediator_connection')
-  return connection ? JSON.parse(connection) : null
-}
-
-// Disconnect from mediator
-export function disconnectMediator() {
-  localStorage.removeItem('mediator_connection')
+// Disconnect from a mediator: forget its grant, so the next connect requests mediation again
+export function disconnectMediator(mediatorId?: string) {
+  const mediator = getMediatorStatus(mediatorId)
+  if (mediator) {
+    saveMediator({ ...mediator, status: null, routingDid: null, mediationResponse: null })
+  }
 }
 
 // Generate a new DID for a specific connection (not the main mobile DID)
-export async function generateConnectionDID() {
-  // Generate Ed25519 key pair for authentication
-  const authKeys = await generateEd25519KeyPair()
-
-  // Generate X25519 key pair for encryption
-  const encKeys = generateX25519KeyPair()
-
-  // Create DID Document with DIDComm v2 service endpoint pointing to mediator
-  const inputDocument: any = {
-    verificationMethod: [
-      {
-        id: '#key-1',
-        type: 'Multikey',
-        publicKeyMultibase: toMultikeyEd25519(authKeys.publicKey)
-      },
-      {
-        id: '#key-2',
-        type: 'Multikey',
-        publicKeyMultibase: toMultikeyX25519(encKeys.publicKey)
-      }
-    ],
-    authentication: ['#key-1'],
-    keyAgreement: ['#key-2'],
-    service: [
-      {
-        id: '#didcomm',
-        type: 'DIDCommMessaging',
-        serviceEndpoint: MEDIATOR_CONFIG.endpoint,
-        accept: ['didcomm/v2'],
-        routingKeys: [MEDIATOR_CONFIG.did]
-      }
-    ]
+// Its service routes through the routing DID the mediator (default unless given) granted.
+export async function generateConnectionDID(mediatorId?: string) {
+  const mediator = getMediatorStatus(mediatorId)
+  if (mediator?.status !== 'granted') {
+    throw new Error('Mediation has not been granted. Connect to mediator first.')
   }
 
-  // Generate the DID using peer4 library
-  const longFormDid = await peer4.encode(inputDocument)
-  const resolvedDocument = await peer4.resolve(longFormDid)
-
-  // Store private keys
-  const privateKeyData: any = {
-    'key-1': {
-      id: '#key-1',
-      type: 'Multikey',
-      publicKeyMultibase: toMultikeyEd25519(authKeys.publicKey),
-      privateKeyBytes: Array.from(authKeys.privateKey)
-    },
-    'key-2': {
-      id: '#key-2',
-      type: 'Multikey',
-      publicKeyMultibase: toMultikeyX25519(encKeys.publicKey),
-      privateKeyBytes: Array.from(encKeys.privateKey)
-    }
-  }
-
-  return {
-    did: longFormDid,
-    didDocument: resolvedDocument,
-    privateKeys: privateKeyData,
-    createdAt: new Date().toISOString()
-  }
+  return createPeer4DID({ endpoint: mediator.endpoint, routingKeys: [mediator.routingDid] })
 }
 
-// Register a connection DID with the mediator using keylist-update protocol
-export async function registerConnectionDIDWithMediator(
-  connectionDid: string
+// Add and remove recipient DIDs in our keylist at the mediator
+export async function updateKeylist(
+  updates: { recipient_did: string; action: 'add' | 'remove' }[],
+  mediatorId?: string
 ): Promise<{ success: boolean; error?: string; response?: any }> {
-  const mobileDID = getMobileDID()
-  if (!mobileDID) {
-    return { success: false, error: 'No mobile DID found. Connect to mediator first.' }
-  }
-
-  // Create keylist-update message
-  const keylistUpdate = {
-    type: 'https://didcomm.org/coordinate-mediation/3.0/keylist-update',
-    id: crypto.randomUUID(),
-    from: mobileDID.did,
-    to: [MEDIATOR_CONFIG.did],
-    body: {
-      updates: [
-        {
-          recipient_did: connectionDid,
-          action: 'add'
-        }
-      ]
-    }
+  const mediator = getMediatorStatus(mediatorId)
+  if (mediator?.status !== 'granted') {
+    return { success: false, error: 'Mediation has not been granted. Connect to mediator first.' }
   }
 
-  console.log('Sending keylist-update:', keylistUpdate)
-
-  // Log outgoing message and get the message ID for updates
-  const outboundMessageId = crypto.randomUUID()
-  saveMessage({
-    id: outboundMessageId,
-    direction: 'outbound',
-    type: keylistUpdate.type,
-    messageId: keylistUpdate.id,
-    from: keylistUpdate.from,
-    to: keylistUpdate.to,
-    body: keylistUpdate.body,
-    message: keylistUpdate,
-    status: 'sent',
-    timestamp: new Date().toISOString()
-  })
-
   try {
-    // Encrypt the message using DIDComm v2
-    console.log('Encrypting keylist-update...')
-    const encryptedMessage = await packMessage(
-      keylistUpdate,
-      MEDIATOR_CONFIG.did,
-      mobileDID.did
+    const response = await sendToMediator(
+      mediator,
+      createMediationMessage(mediator, 'keylist-update', { updates })
     )
 
-    console.log('Sending encrypted keylist-update...')
+    // Each update reports its own result: success, no_change, client_error or server_error
+    const failed = (response?.body?.updated || []).filter(
+      (u: any) => u.result !== 'success' && u.result !== 'no_change'
+    )
+    if (failed.length > 0) {
+      return {
+        success: false,
+        response,
+        error: failed.map((u: any) => `${u.action} ${u.recipient_did}: ${u.result}`).join(', ')
+      }
+    }
 
-    // Send to mediator
-    const response = await fetch(MEDIATOR_CONFIG.endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/didcomm-encrypted+json'
-      },
-      body: encryptedMessage
-    })
+    return { success: true, response }
+  } catch (error) {
+    return { success: false, error: String(error) }
+  }
+}
 
-    if (response.ok) {
-      const result = await response.json()
-      console.log('Keylist-update response:', result)
+// Register a connection DID with the mediator using keylist-update protocol
+export function registerConnectionDIDWithMediator(connectionDid: string, mediatorId?: string) {
+  return updateKeylist([{ recipient_did: connectionDid, action: 'add' }], mediatorId)
+}
 
-      // Update the outbound message with the response
-      updateMessage(outboundMessageId, {
-        response: result,
-        responseStatus: 'received',
-        responseTimestamp: new Date().toISOString()
-      })
+// Stop the mediator accepting messages for a connection DID, e.g. when its connection is deleted
+export function unregisterConnectionDIDFromMediator(connection: any) {
+  return updateKeylist(
+    [{ recipient_did: connection.myDid, action: 'remove' }],
+    getConnectionMediator(connection)?.id
+  )
+}
 
-      return { success: true, response: result }
-    } else {
-      const errorText = await response.text()
-      console.error('Keylist-update failed:', response.status, errorText)
-
-      // Update the outbound message with error
-      updateMessage(outboundMessageId, {
-        response: { error: `HTTP ${response.status}: ${errorText}` },
-        responseStatus: 'error',
-        responseTimestamp: new Date().toISOString()
-      })
+// The recipient DIDs registered at the mediator, fetched page by page with keylist-query
+export async function queryKeylist(mediatorId?: string): Promise<string[]> {
+  const mediator = getMediatorStatus(mediatorId)
+  const recipientDids: string[] = []
 
-      return { success: false, error: `HTTP ${response.status}: ${errorText}` }
+  for (let offset = 0; ; offset += KEYLIST_PAGE_SIZE) {
+    const reply = await sendToMediator(
+      mediator,
+      createMediationMessage(mediator, 'keylist-query', {
+        paginate: { limit: KEYLIST_PAGE_SIZE, offset }
+      })
+    )
+    if (reply?.type !== `${COORDINATE_MEDIATION_PROTOCOL}/keylist`) {
+      throw new Error(`Expected keylist, got ${reply?.type || 'no reply'}`)
     }
-  } catch (error) {
-    console.error('Error sending keylist-update:', error)
 
-    // Update the outbound message with error
-    updateMessage(outboundMessageId, {
-      response: { error: String(error) },
-      responseStatus: 'error',
-      responseTimestamp: new Date().toISOString()
-    })
+    const keys = reply.body?.keys || []
+    recipientDids.push(...keys.map((k: any) => k.recipient_did))
+    if (keys.length === 0 || !(reply.body?.pagination?.remaining > 0)) {
+      return recipientDids
+    }
+  }
+}
 
-    return { success: false, error: String(error) }
+// Make a mediator's keylist match the DIDs of the connections routed through it: register
+// missing DIDs and remove DIDs whose connections are gone
+export async function reconcileKeylist(mediatorId?: string) {
+  const mediator = getMediatorStatus(mediatorId)
+  const registered = await queryKeylist(mediator.id)
+  const connectionDids = getConnections()
+    .filter((c: any) => c.myDid && getConnectionMediator(c)?.id === mediator.id)
+    .map((c: any) => c.myDid)
+
+  const updates = [
+    ...connectionDids
+      .filter((did: string) => !registered.includes(did))
+      .map((did: string) => ({ recipient_did: did, action: 'add' as const })),
+    ...registered
+      .filter(did => !connectionDids.includes(did))
+      .map(did => ({ recipient_did: did, action: 'remove' as const }))
+  ]
+
+  if (updates.length === 0) {
+    console.log('Mediator keylist is up to date')
+    return { success: true }
   }
+
+  console.log('Reconciling mediator keylist:', updates)
+  return updateKeylist(updates, mediator.id)
 }
@@ -5,7 +5,10 @@ const STORAGE_KEYS = {
   MESSAGES: 'mobile_messages',
   SETTINGS: 'mobile_settings',
   DID: 'mobile_did',
-  MEDIATOR: 'mediator_connection'
+  MEDIATORS: 'mobile_mediators',
+  // The single mediator saved before the wallet kept a list, moved into MEDIATORS when read
+  LEGACY_MEDIATOR: 'mediator_connection',
+  CREDENTIALS: 'mobile_credentials'
 }
 
 // Get all connections
@@ -17,12 +20,104 @@ export function getConnections() {
 // Save a connection
 export function saveConnection(connection: any) {
   const connections = getConnections()
-  connections.push({
+  const record = {
     ...connection,
-    id: crypto.randomUUID(),
+    id: connection.id || crypto.randomUUID(),
     createdAt: new Date().toISOString()
-  })
+  }
+  connections.push(record)
   localStorage.setItem(STORAGE_KEYS.CONNECTIONS, JSON.stringify(connections))
+  return record
+}
+
+// Update a connection (e.g., to advance its login state)
+export function updateConnection(connectionId: string, updates: any) {
+  const connections = getConnections()
+  const index = connections.findIndex((c: any) => c.id === connectionId)
+  if (index !== -1) {
+    connections[index] = { ...connections[index], ...updates }
+    localStorage.setItem(STORAGE_KEYS.CONNECTIONS, JSON.stringify(connections))
+    return connections[index]
+  }
+  return null
+}
+
+// Delete a connection
+export function deleteConnection(connectionId: string) {
+  const connections = getConnections().filter((c: any) => c.id !== connectionId)
+  localStorage.setItem(STORAGE_KEYS.CONNECTIONS, JSON.stringify(connections))
+}
+
+// Get all stored verifiable credentials
+export function getCredentials() {
+  const data = localStorage.getItem(STORAGE_KEYS.CREDENTIALS)
+  return data ? JSON.parse(data) : []
+}
+
+// Save a verifiable credential
+export function saveCredential(credential: any) {
+  const credentials = getCredentials()
+  const record = {
+    ...credential,
+    id: credential.id || crypto.randomUUID(),
+    storedAt: new Date().toISOString()
+  }
+  credentials.push(record)
+  localStorage.setItem(STORAGE_KEYS.CREDENTIALS, JSON.stringify(credentials))
+  return record
+}
+
+// Delete a verifiable credential
+export function deleteCredential(credentialId: string) {
+  const credentials = getCredentials().filter((c: any) => c.id !== credentialId)
+  localStorage.setItem(STORAGE_KEYS.CREDENTIALS, JSON.stringify(credentials))
+}
+
+// Move the mediator saved under the old single-mediator key into the list
+// It goes first, so it stays the default unless the settings name another one. A mediator with
+// the same DID already in the list takes over its grant.
+function migrateLegacyMediator() {
+  const legacy = localStorage.getItem(STORAGE_KEYS.LEGACY_MEDIATOR)
+  if (!legacy) return
+
+  const data = localStorage.getItem(STORAGE_KEYS.MEDIATORS)
+  const mediators = data ? JSON.parse(data) : []
+  const mediator = JSON.parse(legacy)
+  const index = mediators.findIndex((m: any) => m.did === mediator.did)
+  if (index === -1) {
+    mediators.unshift({ ...mediator, id: crypto.randomUUID() })
+  } else if (mediators[index].status !== 'granted') {
+    mediators[index] = { ...mediators[index], ...mediator, id: mediators[index].id }
+  }
+  localStorage.setItem(STORAGE_KEYS.MEDIATORS, JSON.stringify(mediators))
+  localStorage.removeItem(STORAGE_KEYS.LEGACY_MEDIATOR)
+}
+
+// Get all configured mediators
+export function getMediators() {
+  migrateLegacyMediator()
+  const data = localStorage.getItem(STORAGE_KEYS.MEDIATORS)
+  return data ? JSON.parse(data) : []
+}
+
+// Save a new mediator, or replace the mediator with the same id
+export function saveMediator(mediator: any) {
+  const mediators = getMediators()
+  const record = { ...mediator, id: mediator.id || crypto.randomUUID() }
+  const index = mediators.findIndex((m: any) => m.id === record.id)
+  if (index === -1) {
+    mediators.push(record)
+  } else {
+    mediators[index] = record
+  }
+  localStorage.setItem(STORAGE_KEYS.MEDIATORS, JSON.stringify(mediators))
+  return record
+}
+
+// Delete a mediator
+export function deleteMediator(mediatorId: string) {
+  const mediators = getMediators().filter((m: any) => m.id !== mediatorId)
+  localStorage.setItem(STORAGE_KEYS.MEDIATORS, JSON.stringify(mediators))
 }
 
 // Get all messages
@@ -36,7 +131,7 @@ export function saveMessage(message: any) {
   const messages = getMessages()
   messages.push({
     ...message,
-    id: crypto.randomUUID(),
+    id: message.id || crypto.randomUUID(),
     receivedAt: new Date().toISOString()
   })
   localStorage.setItem(STORAGE_KEYS.MESSAGES, JSON.stringify(messages))
@@ -91,6 +186,7 @@ export function getStorageStats() {
   return {
     connections: getConnections().length,
     messages: getMessages().length,
+    credentials: getCredentials().length,
     hasDID: !!getMobileDID()
   }
 }
@@ -0,0 +1,352 @@
+// Message Pickup 3.0 client: retrieves the messages mediators queue for the wallet's DIDs
+//
+// Over HTTP the wallet polls with status-request and delivery-request, and the mediator answers
+// on the HTTP response (return_route). When a mediator's WebSocket is open the wallet turns
+// live delivery on and the mediator pushes messages as they arrive. Every retrieved message goes
+// through the inbox and is acknowledged with messages-received. Each mediator that granted
+// mediation gets its own pickup session.
+import { getMobileDID, saveMessage, updateMessage } from './mobileStorage'
+import { packMessage, unpackMessage } from './didcommService'
+import { getMediators } from './mediatorService'
+import { readAttachedMessage, receiveMessage } from './inboxService'
+
+export const PICKUP_PROTOCOL = 'https://didcomm.org/messagepickup/3.0'
+
+// Messages asked for per delivery-request
+const DELIVERY_LIMIT = 10
+
+// How often mediators are polled while there is no live WebSocket
+const POLL_INTERVAL_MS = 15000
+
+export type PickupState = {
+  // stopped, polling over HTTP, or live delivery over the WebSocket of every mediator
+  mode: 'stopped' | 'polling' | 'live'
+  // Messages waiting at the mediators, as of their last status
+  pending: number | null
+  lastPickupAt: string | null
+  error: string | null
+}
+
+// Pickup from one mediator
+type Session = {
+  mediator: any
+  socket: WebSocket | null
+  live: boolean
+  pending: number | null
+  lastPickupAt: string | null
+  error: string | null
+  pickupInProgress: Promise<void> | null
+}
+
+// Send a pickup message; resolves to the mediator's reply when it comes back on the same request
+type Transport = (message: any) => Promise<any | null>
+
+const sessions = new Map<string, Session>()
+const stateListeners = new Set<(state: PickupState) => void>()
+
+let pollTimer: ReturnType<typeof setInterval> | null = null
+
+function updateSession(session: Session, updates: Partial<Session>) {
+  Object.assign(session, updates)
+  const state = getPickupState()
+  stateListeners.forEach(listener => listener(state))
+}
+
+// Current pickup state, over all mediators
+export function getPickupState(): PickupState {
+  const all = [...sessions.values()]
+  if (all.length === 0) {
+    return { mode: 'stopped', pending: null, lastPickupAt: null, error: null }
+  }
+
+  const counts = all.filter(s => s.pending !== null).map(s => s.pending as number)
+  const pickups = all.map(s => s.lastPickupAt).filter(Boolean) as string[]
+  return {
+    mode: all.every(s => s.live) ? 'live' : 'polling',
+    pending: counts.length > 0 ? counts.reduce((sum, count) => sum + count, 0) : null,
+    lastPickupAt: pickups.sort().pop() || null,
+    error: all.find(s => s.error)?.error || null
+  }
+}
+
+// Be told when the pickup state changes; returns an unsubscribe function
+export function onPickupState(listener: (state: PickupState) => void) {
+  stateListeners.add(listener)
+  return () => stateListeners.delete(listener)
+}
+
+function createPickupMessage(session: Session, kind: string, body: any) {
+  return {
+    type: `${PICKUP_PROTOCOL}/${kind}`,
+    id: crypto.randomUUID(),
+    from: getMobileDID().did,
+    to: [session.mediator.did],
+    created_time: Math.floor(Date.now() / 1000),
+    return_route: 'all',
+    body
+  }
+}
+
+// Log an outgoing pickup message and return the log entry's id
+function logOutbound(message: any) {
+  const outboundMessageId = crypto.randomUUID()
+  saveMessage({
+    id: outboundMessageId,
+    direction: 'outbound',
+    type: message.type,
+    messageId: message.id,
+    from: message.from,
+    to: message.to,
+    body: message.body,
+    message,
+    status: 'sent',
+    timestamp: new Date().toISOString()
+  })
+  return outboundMessageId
+}
+
+// POST pickup messages to the mediator and unpack the replies it returns
+function httpTransport(session: Session): Transport {
+  return async message => {
+    const outboundMessageId = logOutbound(message)
+
+    try {
+      const encryptedMessage = await packMessage(message, session.mediator.did, message.from)
+      const response = await fetch(session.mediator.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/didcomm-encrypted+json'
+        },
+        body: encryptedMessage
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${await response.text()}`)
+      }
+
+      const packedReply = await response.text()
+      const reply = packedReply ? (await unpackMessage(packedReply)).message : null
+
+      updateMessage(outboundMessageId, {
+        response: reply,
+        responseStatus: 'received',
+        responseTimestamp: new Date().toISOString()
+      })
+
+      return reply
+    } catch (error) {
+      updateMessage(outboundMessageId, {
+        response: { error: String(error) },
+        responseStatus: 'error',
+        responseTimestamp: new Date().toISOString()
+      })
+      throw error
+    }
+  }
+}
+
+// Send pickup messages on the mediator's WebSocket; replies arrive as socket messages
+function socketTransport(session: Session): Transport {
+  return async message => {
+    const { socket } = session
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      throw new Error('Mediator WebSocket is not open')
+    }
+
+    logOutbound(message)
+    socket.send(await packMessage(message, session.mediator.did, message.from))
+    return null
+  }
+}
+
+// Hand delivered messages to the inbox, then acknowledge them so the mediator drops them
+async function handleDelivery(session: Session, delivery: any, send: Transport) {
+  const messageIds: string[] = []
+
+  for (const attachment of delivery.attachments || []) {
+    try {
+      await receiveMessage(readAttachedMessage(attachment))
+    } catch (error) {
+      console.error('Failed to process delivered message:', attachment.id, error)
+    }
+    // Acknowledged even when it couldn't be processed, or it would be delivered forever
+    messageIds.push(attachment.id)
+  }
+
+  updateSession(session, { lastPickupAt: new Date().toISOString() })
+
+  if (messageIds.length > 0) {
+    await handleReply(
+      session,
+      await send(
+        createPickupMessage(session, 'messages-received', { message_id_list: messageIds })
+      ),
+      send
+    )
+  }
+}
+
+// Act on a message from the mediator: fetch what a status reports and process what's delivered
+async function handleReply(session: Session, reply: any, send: Transport) {
+  if (!reply) return
+
+  switch (reply.type) {
+    case `${PICKUP_PROTOCOL}/status`: {
+      const pending = reply.body?.message_count ?? 0
+      updateSession(session, { pending, error: null })
+      if (pending > 0) {
+        await handleReply(
+          session,
+          await send(createPickupMessage(session, 'delivery-request', { limit: DELIVERY_LIMIT })),
+          send
+        )
+      }
+      break
+    }
+
+    case `${PICKUP_PROTOCOL}/delivery`:
+      await handleDelivery(session, reply, send)
+      break
+
+    case 'https://didcomm.org/report-problem/2.0/problem-report':
+      console.warn('Mediator reported a problem:', reply.body)
+      updateSession(session, {
+        error: reply.body?.comment || reply.body?.code || 'Mediator reported a problem'
+      })
+      break
+
+    default:
+      console.warn('Unexpected message from mediator:', reply.type)
+  }
+}
+
+// Ask one mediator over HTTP for waiting messages and retrieve them all
+function pickUpFrom(session: Session): Promise<void> {
+  if (!session.pickupInProgress) {
+    const send = httpTransport(session)
+    session.pickupInProgress = (async () => {
+      try {
+        await handleReply(
+          session,
+          await send(createPickupMessage(session, 'status-request', {})),
+          send
+        )
+        updateSession(session, { lastPickupAt: new Date().toISOString() })
+      } catch (error) {
+        console.error(`Message pickup from ${session.mediator.label} failed:`, error)
+        updateSession(session, { error: String(error) })
+      } finally {
+        session.pickupInProgress = null
+      }
+    })()
+  }
+  return session.pickupInProgress
+}
+
+// Ask every mediator over HTTP for waiting messages and retrieve them all
+export async function pickUpMessages(): Promise<void> {
+  await Promise.all([...sessions.values()].map(pickUpFrom))
+}
+
+// A socket message is either a pickup reply from the mediator or a message pushed in live mode
+async function handleSocketMessage(session: Session, event: MessageEvent) {
+  const packed = typeof event.data === 'string' ? event.data : await event.data.text()
+
+  try {
+    const { message } = await unpackMessage(packed)
+    if (message.type.startsWith(PICKUP_PROTOCOL) || message.from === session.mediator.did) {
+      await handleReply(session, message, socketTransport(session))
+    } else {
+      await receiveMessage(packed)
+      updateSession(session, { lastPickupAt: new Date().toISOString() })
+    }
+  } catch (error) {
+    console.error('Failed to handle mediator WebSocket message:', error)
+  }
+}
+
+// Open the mediator's WebSocket and switch live delivery on; polling covers any gap
+function openSocket(session: Session) {
+  if (session.socket || !session.mediator.wsEndpoint) return
+
+  const socket = new WebSocket(session.mediator.wsEndpoint)
+  const send = socketTransport(session)
+  session.socket = socket
+
+  socket.onopen = async () => {
+    try {
+      await send(createPickupMessage(session, 'live-delivery-change', { live_delivery: true }))
+      await send(createPickupMessage(session, 'status-request', {}))
+      updateSession(session, { live: true, error: null })
+    } catch (error) {
+      console.error('Failed to start live delivery:', error)
+      socket.close()
+    }
+  }
+  socket.onmessage = event => handleSocketMessage(session, event)
+  socket.onerror = error => {
+    console.error('Mediator WebSocket error:', error)
+  }
+  socket.onclose = () => {
+    if (session.socket !== socket) return
+    if (session.live) {
+      console.log(`${session.mediator.label} WebSocket closed, polling instead`)
+    }
+    updateSession(session, { socket: null, live: false })
+  }
+}
+
+// Start sessions for mediators that granted mediation since, and poll those that aren't live
+function pollMediators() {
+  for (const mediator of getMediators().filter(m => m.status === 'granted')) {
+    if (!sessions.has(mediator.id)) {
+      sessions.set(mediator.id, {
+        mediator,
+        socket: null,
+        live: false,
+        pending: null,
+        lastPickupAt: null,
+        error: null,
+        pickupInProgress: null
+      })
+    }
+  }
+
+  for (const session of sessions.values()) {
+    if (!session.live) {
+      pickUpFrom(session)
+      openSocket(session)
+    }
+  }
+}
+
+// Start picking up messages: poll now and every POLL_INTERVAL_MS, and go live when possible
+export function startPickup() {
+  if (pollTimer) return
+  if (!getMobileDID()) {
+    console.warn('Cannot pick up messages without a mediator connection')
+    return
+  }
+
+  pollMediators()
+  pollTimer = setInterval(pollMediators, POLL_INTERVAL_MS)
+}
+
+// Stop polling and close the WebSockets
+export function stopPickup() {
+  if (pollTimer) {
+    clearInterval(pollTimer)
+    pollTimer = null
+  }
+
+  const stopped = [...sessions.values()]
+  sessions.clear()
+  for (const session of stopped) {
+    const { socket } = session
+    session.socket = null
+    socket?.close()
+  }
+
+  const state = getPickupState()
+  stateListeners.forEach(listener => listener(state))
+}
@@ -0,0 +1,136 @@
+// Personas the wallet shares with websites that ask for a user profile (User Profile 1.0)
+// Personas live in the mobile settings; each connection remembers the persona last shared on it.
+import { getConnections, getSettings, saveSettings, updateConnection } from './mobileStorage'
+import { sendLoginMessage } from './loginService'
+
+export const USER_PROFILE_PROTOCOL = 'https://didcomm.org/user-profile/1.0'
+
+// Profile fields a persona can fill in
+export const PROFILE_FIELDS = ['displayName', 'description', 'displayPicture']
+
+const profileRequestListeners = new Set<(connection: any) => void>()
+
+// Get all personas
+export function getPersonas(): any[] {
+  return getSettings().personas || []
+}
+
+// Save a new persona, or replace the persona with the same id
+export function savePersona(persona: any) {
+  const settings = getSettings()
+  const personas = settings.personas || []
+  const record = { ...persona, id: persona.id || crypto.randomUUID() }
+  const index = personas.findIndex((p: any) => p.id === record.id)
+
+  if (index === -1) {
+    personas.push(record)
+  } else {
+    personas[index] = record
+  }
+  saveSettings({ ...settings, personas })
+  return record
+}
+
+// Delete a persona
+export function deletePersona(personaId: string) {
+  const settings = getSettings()
+  saveSettings({
+    ...settings,
+    personas: (settings.personas || []).filter((p: any) => p.id !== personaId)
+  })
+}
+
+// Connections with a profile request waiting for the user's consent
+export function getPendingProfileRequests(): any[] {
+  return getConnections().filter((c: any) => c.profileRequest)
+}
+
+// Be told when a website asks for a profile; returns an unsubscribe function
+export function onProfileRequest(listener: (connection: any) => void) {
+  profileRequestListeners.add(listener)
+  return () => profileRequestListeners.delete(listener)
+}
+
+// Handle a request-profile received from a website: keep it until the user answers
+export function handleProfileRequest(message: any) {
+  const connection = getConnections().find(
+    (c: any) => c.did === message.from && message.to?.includes(c.myDid)
+  )
+
+  if (!connection) {
+    console.warn('Received request-profile for an unknown connection')
+    return null
+  }
+
+  const query = (message.body?.query || PROFILE_FIELDS).filter((field: string) =>
+    PROFILE_FIELDS.includes(field)
+  )
+  const updated = updateConnection(connection.id, {
+    profileRequest: {
+      id: message.id,
+      query,
+      expiresTime: message.expires_time,
+      receivedAt: new Date().toISOString()
+    }
+  })
+
+  profileRequestListeners.forEach(listener => listener(updated))
+  return updated
+}
+
+// The profile body and attachments a persona shares for the requested fields
+// The display picture is a data URL, sent as an attachment the profile refers to by id
+export function buildProfile(persona: any, query: string[]) {
+  const profile: Record<string, string> = {}
+  const attachments: any[] = []
+
+  for (const field of ['displayName', 'description']) {
+    if (query.includes(field) && persona[field]) {
+      profile[field] = persona[field]
+    }
+  }
+
+  const picture = /^data:([^;]+);base64,(.+)$/.exec(persona.displayPicture || '')
+  if (query.includes('displayPicture') && picture) {
+    const id = crypto.randomUUID()
+    profile.displayPicture = id
+    attachments.push({ id, media_type: picture[1], data: { base64: picture[2] } })
+  }
+
+  return { profile, attachments }
+}
+
+// Answer a connection's profile request with a persona, and remember the persona for next time
+export async function shareProfile(connection: any, persona: any) {
+  const { profile, attachments } = buildProfile(persona, connection.profileRequest.query)
+
+  const result = await sendLoginMessage(
+    {
+      type: `${USER_PROFILE_PROTOCOL}/profile`,
+      id: crypto.randomUUID(),
+      from: connection.myDid,
+      to: [connection.did],
+      thid: connection.profileRequest.id,
+      created_time: Math.floor(Date.now() / 1000),
+      body: { profile },
+      ...(attachments.length > 0 && { attachments })
+    },
+    connection.did,
+    connection.myDid
+  )
+
+  if (result.success) {
+    updateConnection(connection.id, {
+      personaId: persona.id,
+      profileRequest: null,
+      profileSharedAt: new Date().toISOString()
+    })
+  }
+
+  return result
+}
+
+// Decline a connection's profile request; the website is not told and the request expires
+export function declineProfileRequest(connection: any) {
+  return updateConnection(connection.id, { profileRequest: null })
+}
@@ -63,6 +63,27 @@ function generateSessionToken() {
   return `${timestamp}-${random1.substring(0, 16)}-${random2.substring(0, 16)}`
 }
 
+/**
+ * Request a login invitation for this browser session from the backend
+ * The server mints the invitation with a single-use session token bound to this session
+ * @returns {Promise<object>} The Out-of-Band invitation
+ */
+export async function createLoginInvitation() {
+  const response = await fetch(`${API_BASE_URL}/login/invitation`, {
+    method: 'POST',
+    credentials: 'include'
+  })
+
+  if (!response.ok) {
+    throw new Error(`Failed to create login invitation: ${response.statusText}`)
+  }
+
+  const data = await response.json()
+  console.log('Got login invitation from Express server:', data.invitation.id)
+
+  return data.invitation
+}
+
 /**
  * Get session status from backend
  * @returns {Promise<object>} Session status including authentication state
@@ -113,6 +134,59 @@ export async function clearSession() {
   }
 }
 
+/**
+ * List the sessions signed in with the same wallet as this browser session
+ * @returns {Promise<Array<object>>} Sessions ({ id, current, createdAt, authenticatedAt, lastSeenAt, userAgent })
+ */
+export async function getActiveSessions() {
+  const response = await fetch(`${API_BASE_URL}/sessions`, {
+    method: 'GET',
+    credentials: 'include'
+  })
+
+  if (!response.ok) {
+    throw new Error(`Failed to list sessions: ${response.statusText}`)
+  }
+
+  const data = await response.json()
+  return data.sessions
+}
+
+/**
+ * Revoke one of the sessions returned by getActiveSessions
+ * @param {string} sessionId - The session's id from getActiveSessions
+ * @returns {Promise<object>} Result of the revocation
+ */
+export async function revokeSession(sessionId) {
+  const response = await fetch(`${API_BASE_URL}/sessions/${encodeURIComponent(sessionId)}`, {
+    method: 'DELETE',
+    credentials: 'include'
+  })
+
+  if (!response.ok) {
+    throw new Error(`Failed to revoke session: ${response.statusText}`)
+  }
+
+  return await response.json()
+}
+
+/**
+ * Revoke every session signed in with this browser's wallet, including this one
+ * @returns {Promise<object>} Result of the revocation
+ */
+export async function revokeAllSessions() {
+  const response = await fetch(`${API_BASE_URL}/sessions`, {
+    method: 'DELETE',
+    credentials: 'include'
+  })
+
+  if (!response.ok) {
+    throw new Error(`Failed to revoke sessions: ${response.statusText}`)
+  }
+
+  return await response.json()
+}
+
 /**
  * Get session information (compatibility wrapper)
  * @returns {Promise<object|null>} Session info
@@ -136,3 +210,60 @@ export async function renewSession() {
     console.error('Error renewing session:', error)
   }
 }
+
+/**
+ * Subscribe to login state changes for the current session
+ * Uses Server-Sent Events, falling back to polling the status endpoint
+ * @param {function(object): void} onState - Called with each state event ({ state, walletDID, ... })
+ * @param {number} [pollInterval=3000] - Polling interval in ms when SSE is unavailable
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToSessionEvents(onState, pollInterval = 3000) {
+  let eventSource = null
+  let pollTimer = null
+
+  const startPolling = () => {
+    if (pollTimer) return
+    console.log('Falling back to polling session status')
+
+    pollTimer = setInterval(async () => {
+      const status = await getSessionStatus()
+      if (status.authenticated) {
+        onState({
+          state: 'authenticated',
+          walletDID: status.walletDID,
+          authenticatedAt: status.authenticatedAt,
+          userProfile: status.userProfile
+        })
+      } else if (status.loginState) {
+        onState({ state: status.loginState })
+      }
+    }, pollInterval)
+  }
+
+  if (typeof EventSource === 'undefined') {
+    startPolling()
+  } else {
+    eventSource = new EventSource(`${API_BASE_URL}/session/events`, { withCredentials: true })
+
+    eventSource.addEventListener('state', event => {
+      onState(JSON.parse(event.data))
+    })
+
+    // EventSource reconnects by itself after a dropped connection; it is closed only when the
+    // server can't serve the stream at all, e.g. an error status
+    eventSource.onerror = () => {
+      if (eventSource.readyState !== EventSource.CLOSED) {
+        console.warn('Session event stream interrupted, reconnecting')
+        return
+      }
+      console.error('Session event stream failed')
+      startPolling()
+    }
+  }
+
+  return () => {
+    if (eventSource) eventSource.close()
+    if (pollTimer) clearInterval(pollTimer)
+  }
+}